@@ -0,0 +1,29 @@
+// Downloads the pose landmarker model into public/models, where the app and
+// the service worker's precache expect it. Skipped if it's already there.
+//
+//   npm run fetch-model
+//
+// Runs before each build, which fails if the model can't be downloaded.
+import { existsSync, mkdirSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+const MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task';
+const MODEL_PATH = 'public/models/pose_landmarker_lite.task';
+
+if (existsSync(MODEL_PATH)) {
+    console.log(`${MODEL_PATH} is already there`);
+} else {
+    try {
+        const response = await fetch(MODEL_URL, { signal: AbortSignal.timeout(60000) });
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+
+        mkdirSync(dirname(MODEL_PATH), { recursive: true });
+        writeFileSync(MODEL_PATH, Buffer.from(await response.arrayBuffer()));
+        console.log(`Downloaded ${MODEL_PATH}`);
+    } catch (error) {
+        console.error(`Could not download the pose model: ${error.message}`);
+        process.exit(1);
+    }
+}
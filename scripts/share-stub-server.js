@@ -0,0 +1,128 @@
+// Local stand-in for a share backend, for trying out share targets and the
+// offline outbox without touching a real gallery.
+//
+//   npm run share-stub -- --backend wordpress --fail 2 --token secret
+//   VITE_SHARE_TARGET=http://localhost:8787/share-target.json npm run dev
+//
+// Options:
+//   --port 8787         Port to listen on
+//   --backend multipart Response shape: wordpress | multipart
+//   --fail 0            Answer the first N uploads with --status
+//   --status 503        Status code for failed uploads
+//   --delay 0           Milliseconds to wait before answering
+//   --token ''          Require this value in the auth header
+//
+// GET /share-target.json serves a matching share target configuration and
+// GET /uploads lists what has been received.
+import { createServer } from 'node:http';
+import { parseArgs } from 'node:util';
+
+const { values: options } = parseArgs({
+    options: {
+        port: { type: 'string', default: '8787' },
+        backend: { type: 'string', default: 'multipart' },
+        fail: { type: 'string', default: '0' },
+        status: { type: 'string', default: '503' },
+        delay: { type: 'string', default: '0' },
+        token: { type: 'string', default: '' }
+    }
+});
+
+const port = Number(options.port);
+const authHeader = options.backend === 'wordpress' ? 'X-WP-Nonce' : 'Authorization';
+let failuresLeft = Number(options.fail);
+const uploads = [];
+
+function shareTarget() {
+    const base = `http://localhost:${port}`;
+    return {
+        backend: options.backend,
+        name: 'Local stub gallery',
+        pageURL: `${base}/uploads`,
+        url: `${base}/upload`,
+        ...(options.token ? { auth: { header: authHeader, token: options.token } } : {}),
+        ...(options.backend === 'multipart' ? { response: { successPath: 'ok', messagePath: 'error', urlPath: 'link' } } : {})
+    };
+}
+
+// Field names, file names and sizes of a multipart/form-data body
+function parseMultipart(body, contentType) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType);
+    if (!boundary) return [];
+
+    const text = body.toString('latin1');
+    return text.split(`--${boundary[1] || boundary[2]}`)
+        .slice(1, -1)
+        .map(part => {
+            const [head, ...rest] = part.split('\r\n\r\n');
+            const content = rest.join('\r\n\r\n').replace(/\r\n$/, '');
+            const name = /name="([^"]*)"/.exec(head)?.[1];
+            const filename = /filename="([^"]*)"/.exec(head)?.[1];
+            return filename !== undefined ?
+                { name, filename, size: Buffer.byteLength(content, 'latin1') } :
+                { name, value: content };
+        });
+}
+
+function respond(response, status, data) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(data, null, 2));
+}
+
+function success(link) {
+    return options.backend === 'wordpress' ?
+        { success: true, message: 'Stored by the stub', url: link } :
+        { ok: true, link };
+}
+
+function failure(status, message) {
+    return options.backend === 'wordpress' ?
+        { code: 'stub_error', message, data: { status } } :
+        { ok: false, error: message };
+}
+
+const server = createServer((request, response) => {
+    // The app runs on another origin (the Vite dev server)
+    response.setHeader('Access-Control-Allow-Origin', request.headers.origin || '*');
+    response.setHeader('Access-Control-Allow-Credentials', 'true');
+    response.setHeader('Access-Control-Allow-Headers', `Content-Type, ${authHeader}`);
+    response.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+    const { pathname } = new URL(request.url, `http://localhost:${port}`);
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+    } else if (request.method === 'GET' && pathname === '/share-target.json') {
+        respond(response, 200, shareTarget());
+    } else if (request.method === 'GET' && pathname === '/uploads') {
+        respond(response, 200, uploads);
+    } else if (request.method === 'POST' && pathname === '/upload') {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+            setTimeout(() => {
+                const parts = parseMultipart(Buffer.concat(chunks), request.headers['content-type'] || '');
+                console.log(`${new Date().toISOString()} POST /upload`, parts);
+
+                if (options.token && request.headers[authHeader.toLowerCase()] !== options.token) {
+                    respond(response, 401, failure(401, 'Missing or wrong auth token'));
+                } else if (failuresLeft > 0) {
+                    failuresLeft--;
+                    const status = Number(options.status);
+                    respond(response, status, failure(status, `Stub failure (${failuresLeft} more to come)`));
+                } else {
+                    uploads.push({ receivedAt: new Date().toISOString(), parts });
+                    respond(response, 200, success(`http://localhost:${port}/uploads#${uploads.length}`));
+                }
+            }, Number(options.delay));
+        });
+    } else {
+        respond(response, 404, failure(404, 'Not found'));
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Share stub (${options.backend}) listening on http://localhost:${port}`);
+    console.log(`Try: VITE_SHARE_TARGET=http://localhost:${port}/share-target.json npm run dev`);
+});
@@ -0,0 +1,101 @@
+// Vite plugin that makes the build work without a network connection:
+//
+// - Serves (dev) and copies (build) the MediaPipe WASM fileset from
+//   node_modules to mediapipe/wasm/, so it always matches the installed
+//   @mediapipe/tasks-vision and never comes from a CDN.
+// - Emits sw.js, the service worker from src/serviceWorker.js, with the list
+//   of files to precache: every file of the build, the public files (model,
+//   manifest, icons) and the SIMD WASM files. Browsers without SIMD fetch the
+//   fallback WASM once and the service worker caches it then.
+// - Fails a production build without the pose model, which would publish an
+//   app that can't trace.
+import { readFileSync, readdirSync, existsSync, statSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { join, relative, sep } from 'node:path';
+
+const WASM_DIR = 'node_modules/@mediapipe/tasks-vision/wasm';
+const WASM_URL = 'mediapipe/wasm';
+const MODEL_FILE = 'models/pose_landmarker_lite.task';
+
+// Only needed by browsers without WASM SIMD, which are few, so not precached
+const NO_SIMD = /nosimd/;
+
+// Design sources in public/ that aren't needed at runtime
+const SKIP_PUBLIC = [/\.ai$/, /(^|\/)\./];
+
+function listFiles(directory) {
+    if (!existsSync(directory)) return [];
+    return readdirSync(directory).flatMap(name => {
+        const path = join(directory, name);
+        return statSync(path).isDirectory() ? listFiles(path) : [path];
+    });
+}
+
+export function offlinePlugin() {
+    let config;
+
+    return {
+        name: 'bodychalk-offline',
+        enforce: 'post', // After index.html has been added to the bundle
+
+        configResolved(resolvedConfig) {
+            config = resolvedConfig;
+        },
+
+        configureServer(server) {
+            server.middlewares.use((request, response, next) => {
+                const prefix = `${config.base}${WASM_URL}/`;
+                const url = request.url?.split('?')[0] ?? '';
+                if (!url.startsWith(prefix)) return next();
+
+                const path = join(config.root, WASM_DIR, url.slice(prefix.length));
+                if (!path.startsWith(join(config.root, WASM_DIR)) || !existsSync(path)) return next();
+
+                response.setHeader('Content-Type', path.endsWith('.wasm') ? 'application/wasm' : 'text/javascript');
+                response.end(readFileSync(path));
+            });
+        },
+
+        buildStart() {
+            if (config.command === 'build' && config.isProduction && !existsSync(join(config.publicDir, MODEL_FILE))) {
+                this.error(`public/${MODEL_FILE} is missing; run "npm run fetch-model" before building`);
+            }
+        },
+
+        generateBundle(options, bundle) {
+            const wasmFiles = listFiles(join(config.root, WASM_DIR)).map(path => {
+                const fileName = `${WASM_URL}/${relative(join(config.root, WASM_DIR), path).split(sep).join('/')}`;
+                this.emitFile({ type: 'asset', fileName, source: readFileSync(path) });
+                return fileName;
+            });
+
+            const publicFiles = listFiles(config.publicDir)
+                .map(path => relative(config.publicDir, path).split(sep).join('/'))
+                .filter(fileName => !SKIP_PUBLIC.some(pattern => pattern.test(fileName)));
+
+            const precache = [...new Set([
+                'index.html',
+                ...Object.keys(bundle),
+                ...wasmFiles,
+                ...publicFiles
+            ])].filter(fileName => fileName !== 'sw.js' && !fileName.endsWith('.map') && !NO_SIMD.test(fileName)).sort();
+
+            // A new version whenever any precached file changes, so clients update
+            const hash = createHash('sha256');
+            precache.forEach(fileName => {
+                const file = bundle[fileName];
+                hash.update(fileName);
+                if (file) {
+                    hash.update(file.type === 'chunk' ? file.code : file.source);
+                } else if (publicFiles.includes(fileName)) {
+                    hash.update(readFileSync(join(config.publicDir, fileName)));
+                }
+            });
+
+            const source = readFileSync(join(config.root, 'src/serviceWorker.js'), 'utf8')
+                .replace('self.__PRECACHE__', JSON.stringify(precache, null, 4))
+                .replace('self.__VERSION__', JSON.stringify(hash.digest('hex').slice(0, 12)));
+            this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+        }
+    };
+}
@@ -3,19 +3,45 @@ import './style.css'
 
 // main.js
 import { loadIcons } from './modules/iconLoader.js';
-const iconNames = ['cameraswitch', 'download', 'colors', 'share'];
+const iconNames = [
+    'cameraswitch', 'download', 'colors', 'share', 'timer', 'videocam',
+    'layers', 'arrow_upward', 'arrow_downward', 'visibility', 'visibility_off', 'delete', 'tune',
+    'perm_media', 'photo_camera', 'play_arrow', 'pause', 'cloud_upload',
+    'photo_library'
+];
 loadIcons(iconNames);
 
-import { startAppBtn, welcomeScreen, app, loadingSpinner, cameraToggle, randomColor, bodyPath, svgElement, shareFile } from './modules/domElements.js';
+import { registerServiceWorker } from './modules/offline.js';
+registerServiceWorker();
+
+import { startAppBtn, welcomeScreen, app, loadingSpinner, cameraToggle, randomColor, bodyPath, svgElement, shareFile, gestureIndicator, gestureLabel, gestureProgress } from './modules/domElements.js';
 import { CameraManager } from './modules/camera.js';
 import { PoseProcessor } from './modules/poseProcessor.js';
+import { SVGExporter } from './modules/svgExporter.js';
 import { DownloadManager } from './modules/download.js';
 import { ShareManager } from './modules/share.js';
+import { CaptureManager } from './modules/capture.js';
+import { CompositionManager } from './modules/composition.js';
+import { MovementRecorder } from './modules/recorder.js';
+import { getRandomColor } from './modules/palette.js';
+import { SettingsStore } from './modules/settings.js';
+import { SettingsPanel } from './modules/settingsPanel.js';
+import { SourceManager } from './modules/sourceManager.js';
+import { GalleryManager } from './modules/gallery.js';
+import { GestureRecognizer, GESTURES } from './modules/gestures.js';
 
 let cameraManager = null;
 let poseProcessor = null;
 let downloadManager = null;
 let shareManager = null;
+let captureManager = null;
+let compositionManager = null;
+let movementRecorder = null;
+let settingsStore = null;
+let settingsPanel = null;
+let sourceManager = null;
+let galleryManager = null;
+let gestureRecognizer = null;
 let processingLoop = null;
 
 // Start preloading immediately when the page loads
@@ -23,7 +49,23 @@ document.addEventListener('DOMContentLoaded', async () => {
     try {
         // Initialize both managers
         cameraManager = new CameraManager();
-        poseProcessor = new PoseProcessor();
+        // Saved tracing settings, overridden by URL parameters (e.g. ?poses=4 for group sessions)
+        settingsStore = new SettingsStore();
+        poseProcessor = new PoseProcessor({
+            numPoses: settingsStore.get('poses'),
+            settings: settingsStore.getTracingSettings()
+        });
+        settingsStore.onChange((values, changedKeys) => poseProcessor.configure(settingsStore.getTracingSettings(), {
+            retrace: SettingsStore.affectsTracing(changedKeys)
+        }));
+        cameraManager.setFrameGovernor(poseProcessor.governor);
+        SVGExporter.setLandmarkSource(poseProcessor);
+
+        // Gesture commands, driven by the landmarks of each frame
+        gestureRecognizer = new GestureRecognizer(settingsStore.getGestureSettings());
+        settingsStore.onChange(() => gestureRecognizer.configure(settingsStore.getGestureSettings()));
+        gestureRecognizer.onProgress(showGestureProgress);
+        poseProcessor.onLandmarks(people => gestureRecognizer.update(people));
 
         console.log('Starting background model preload...');
         await poseProcessor.preloadModel();
@@ -73,6 +115,49 @@ startAppBtn.addEventListener('click', async () => {
         // Initialize share manager
         shareManager = new ShareManager(cameraManager);
 
+        // Initialize composition manager (layered exposures)
+        compositionManager = new CompositionManager(cameraManager, downloadManager);
+
+        // Initialize capture manager (countdown + frozen outline review)
+        captureManager = new CaptureManager(cameraManager, downloadManager, shareManager, compositionManager);
+
+        // Initialize gallery (every captured, downloaded or shared outline is kept on the device)
+        galleryManager = new GalleryManager(cameraManager, downloadManager, shareManager);
+        captureManager.onCapture(snapshot => galleryManager.add(snapshot));
+        downloadManager.onExport(snapshot => galleryManager.add(snapshot));
+        shareManager.onShare(snapshot => galleryManager.add(snapshot));
+
+        // Initialize movement recorder (animated SVG export)
+        movementRecorder = new MovementRecorder(cameraManager, downloadManager);
+
+        // Actions gestures can be mapped to in the settings panel
+        gestureRecognizer.setActions({
+            capture: () => captureManager.startCountdown(),
+            color: changeToRandomColor,
+            // The first share gesture opens the preview, holding it again sends.
+            // Web Share only sends from a tap, so then the preview waits for one.
+            share: () => {
+                if (!shareManager.isConfirming()) {
+                    shareManager.showConfirmationDialog();
+                } else if (shareManager.canSendWithoutTap()) {
+                    shareManager.confirmShare();
+                }
+            },
+            download: () => downloadManager.downloadSVG(),
+            record: () => movementRecorder.isRecording() ?
+                movementRecorder.stop() :
+                movementRecorder.start()
+        });
+
+        // Initialize settings panel (live tuning of the tracing pipeline)
+        settingsPanel = new SettingsPanel(settingsStore, cameraManager);
+
+        // Initialize source manager (photos and video files instead of the camera)
+        sourceManager = new SourceManager(cameraManager, poseProcessor, (dimensions) => {
+            poseProcessor.setDimensions(dimensions.width, dimensions.height);
+            startProcessingLoop();
+        });
+
         // Set up camera toggle if multiple cameras available
         if (cameraManager.hasMultipleCamerasAvailable()) {
             cameraToggle.addEventListener('click', toggleCamera);
@@ -150,32 +235,6 @@ async function toggleCamera() {
     }
 }
 
-// Generate random color
-function getRandomColor() {
-    const colors = [
-        '#ff0000', // red
-        '#00ff00', // green
-        '#0000ff', // blue
-        '#ffff00', // yellow
-        '#ff00ff', // magenta
-        '#00ffff', // cyan
-        '#ff8000', // orange
-        '#8000ff', // purple
-        '#ff0080', // pink
-        '#80ff00', // lime
-        '#0080ff', // light blue
-        '#ff8080', // light red
-        '#80ff80', // light green
-        '#8080ff', // light blue
-        '#ffff80', // light yellow
-        '#ff80ff', // light magenta
-        '#80ffff', // light cyan
-        '#ffffff', // white
-    ];
-
-    return colors[Math.floor(Math.random() * colors.length)];
-}
-
 // Random color functionality
 function changeToRandomColor() {
     const newColor = getRandomColor();
@@ -183,6 +242,18 @@ function changeToRandomColor() {
     console.log(`Changed stroke color to: ${newColor}`);
 }
 
+// Shows which gesture is being held and how long is left
+function showGestureProgress(name, progress) {
+    if (!name) {
+        gestureIndicator.style.display = 'none';
+        return;
+    }
+
+    gestureIndicator.style.display = 'block';
+    gestureLabel.textContent = GESTURES[name].label;
+    gestureProgress.style.width = `${Math.round(progress * 100)}%`;
+}
+
 // Event listener for random color button
 randomColor.addEventListener('click', changeToRandomColor);
 
@@ -0,0 +1,254 @@
+// Least-squares cubic Bezier fitting for closed outlines, after Philip J.
+// Schneider's "An Algorithm for Automatically Fitting Digitized Curves"
+// (Graphics Gems, 1990). Outlines are cut at sharp corners; each run between
+// corners is fitted with as few curves as keep every point within maxError.
+export class BezierFitter {
+    constructor(options = {}) {
+        this.maxError = options.maxError || 2; // Max distance (px) from a point to the fitted curve
+        this.cornerAngle = options.cornerAngle || 70; // Degrees of turn that count as a corner
+        this.cornerWindow = options.cornerWindow || 2; // Neighbours either side used to measure the turn
+        this.maxIterations = options.maxIterations || 4; // Newton-Raphson reparameterization passes
+    }
+
+    // Returns cubic segments [[p0, c1, c2, p3], ...] forming a closed loop
+    fitClosed(points) {
+        const outline = this.removeRepeatedPoints(points);
+        if (outline.length < 4) {
+            return [];
+        }
+
+        const corners = this.findCorners(outline);
+
+        if (corners.length === 0) {
+            // Smooth loop: cut anywhere, with one shared tangent across the seam
+            const run = [...outline, outline[0]];
+            const seamTangent = normalize(subtract(outline[1], outline[outline.length - 1]));
+            return this.fitCubic(run, 0, run.length - 1, seamTangent, scale(seamTangent, -1));
+        }
+
+        // Fit each run from one corner to the next, wrapping around the end
+        const segments = [];
+        corners.forEach((start, index) => {
+            const end = corners[(index + 1) % corners.length];
+            const run = [];
+            for (let i = start; ; i = (i + 1) % outline.length) {
+                run.push(outline[i]);
+                if (i === end && run.length > 1) break;
+            }
+            segments.push(...this.fitCubic(
+                run,
+                0,
+                run.length - 1,
+                normalize(subtract(run[1], run[0])),
+                normalize(subtract(run[run.length - 2], run[run.length - 1]))
+            ));
+        });
+        return segments;
+    }
+
+    removeRepeatedPoints(points) {
+        return points.filter((point, index) => distance(point, points[(index + 1) % points.length]) > 1e-6);
+    }
+
+    // Indices where the outline turns more sharply than cornerAngle
+    findCorners(points) {
+        const count = points.length;
+        const window = Math.min(this.cornerWindow, Math.floor((count - 1) / 2));
+        const threshold = Math.cos(this.cornerAngle * Math.PI / 180);
+        const turns = points.map((point, i) => {
+            const incoming = normalize(subtract(point, points[(i - window + count) % count]));
+            const outgoing = normalize(subtract(points[(i + window) % count], point));
+            return dot(incoming, outgoing);
+        });
+
+        // Keep only the sharpest point of each run of corner candidates
+        return turns
+            .map((turn, i) => i)
+            .filter(i => turns[i] < threshold &&
+                turns[i] <= turns[(i - 1 + count) % count] &&
+                turns[i] < turns[(i + 1) % count]);
+    }
+
+    fitCubic(points, first, last, leftTangent, rightTangent) {
+        // Two points: a straight curve with handles at a third of the distance
+        if (last - first === 1) {
+            const third = distance(points[first], points[last]) / 3;
+            return [[
+                points[first],
+                add(points[first], scale(leftTangent, third)),
+                add(points[last], scale(rightTangent, third)),
+                points[last]
+            ]];
+        }
+
+        let parameters = this.chordLengthParameterize(points, first, last);
+        let bezier = this.generateBezier(points, first, last, parameters, leftTangent, rightTangent);
+        let { maxDistance, splitPoint } = this.computeMaxError(points, first, last, bezier, parameters);
+
+        if (maxDistance < this.maxError) {
+            return [bezier];
+        }
+
+        // Close enough that a better parameterization may do it
+        if (maxDistance < this.maxError * 4) {
+            for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+                parameters = this.reparameterize(points, first, last, parameters, bezier);
+                bezier = this.generateBezier(points, first, last, parameters, leftTangent, rightTangent);
+                ({ maxDistance, splitPoint } = this.computeMaxError(points, first, last, bezier, parameters));
+                if (maxDistance < this.maxError) {
+                    return [bezier];
+                }
+            }
+        }
+
+        // Split at the worst point and fit both halves, smooth across the split
+        const centerTangent = this.centerTangent(points, splitPoint);
+        return [
+            ...this.fitCubic(points, first, splitPoint, leftTangent, centerTangent),
+            ...this.fitCubic(points, splitPoint, last, scale(centerTangent, -1), rightTangent)
+        ];
+    }
+
+    // Control points placed along the end tangents, by least squares
+    generateBezier(points, first, last, parameters, leftTangent, rightTangent) {
+        const start = points[first];
+        const end = points[last];
+        const c = [[0, 0], [0, 0]];
+        const x = [0, 0];
+
+        for (let i = 0; i <= last - first; i++) {
+            const t = parameters[i];
+            const a1 = scale(leftTangent, 3 * t * (1 - t) * (1 - t));
+            const a2 = scale(rightTangent, 3 * t * t * (1 - t));
+
+            c[0][0] += dot(a1, a1);
+            c[0][1] += dot(a1, a2);
+            c[1][1] += dot(a2, a2);
+
+            const onLine = add(
+                scale(start, (1 - t) ** 3 + 3 * t * (1 - t) ** 2),
+                scale(end, t ** 3 + 3 * t * t * (1 - t))
+            );
+            const residual = subtract(points[first + i], onLine);
+            x[0] += dot(a1, residual);
+            x[1] += dot(a2, residual);
+        }
+        c[1][0] = c[0][1];
+
+        const determinant = c[0][0] * c[1][1] - c[1][0] * c[0][1];
+        let alphaLeft = 0;
+        let alphaRight = 0;
+        if (Math.abs(determinant) > 1e-12) {
+            alphaLeft = (x[0] * c[1][1] - x[1] * c[0][1]) / determinant;
+            alphaRight = (c[0][0] * x[1] - c[1][0] * x[0]) / determinant;
+        }
+
+        // Degenerate fit (handles too short or pointing backwards): use the
+        // Wu/Barsky heuristic of a third of the chord instead
+        const chord = distance(start, end);
+        const epsilon = 1e-6 * chord;
+        if (alphaLeft < epsilon || alphaRight < epsilon) {
+            alphaLeft = chord / 3;
+            alphaRight = chord / 3;
+        }
+
+        return [
+            start,
+            add(start, scale(leftTangent, alphaLeft)),
+            add(end, scale(rightTangent, alphaRight)),
+            end
+        ];
+    }
+
+    chordLengthParameterize(points, first, last) {
+        const lengths = [0];
+        for (let i = first + 1; i <= last; i++) {
+            lengths.push(lengths[lengths.length - 1] + distance(points[i], points[i - 1]));
+        }
+        const total = lengths[lengths.length - 1] || 1;
+        return lengths.map(length => length / total);
+    }
+
+    // One Newton-Raphson step per point towards its closest spot on the curve
+    reparameterize(points, first, last, parameters, bezier) {
+        return parameters.map((t, i) => {
+            const point = points[first + i];
+            const q = evaluate(bezier, t);
+            const q1 = evaluate(derivative(bezier), t);
+            const q2 = evaluate(derivative(derivative(bezier)), t);
+
+            const difference = subtract(q, point);
+            const numerator = dot(difference, q1);
+            const denominator = dot(q1, q1) + dot(difference, q2);
+            return Math.abs(denominator) < 1e-12 ? t : t - numerator / denominator;
+        });
+    }
+
+    computeMaxError(points, first, last, bezier, parameters) {
+        let maxDistance = 0;
+        let splitPoint = Math.floor((last - first + 1) / 2) + first;
+
+        for (let i = first + 1; i < last; i++) {
+            const error = distance(evaluate(bezier, parameters[i - first]), points[i]);
+            if (error >= maxDistance) {
+                maxDistance = error;
+                splitPoint = i;
+            }
+        }
+
+        return { maxDistance, splitPoint };
+    }
+
+    centerTangent(points, center) {
+        const tangent = subtract(points[center - 1], points[center + 1]);
+        // Fall back to the chord when the neighbours coincide
+        return Math.hypot(tangent[0], tangent[1]) > 1e-12 ?
+            normalize(tangent) :
+            normalize(subtract(points[center - 1], points[center]));
+    }
+}
+
+// Small 2D vector helpers
+
+function add(a, b) {
+    return [a[0] + b[0], a[1] + b[1]];
+}
+
+function subtract(a, b) {
+    return [a[0] - b[0], a[1] - b[1]];
+}
+
+function scale(v, factor) {
+    return [v[0] * factor, v[1] * factor];
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1];
+}
+
+function distance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+function normalize(v) {
+    const length = Math.hypot(v[0], v[1]);
+    return length > 0 ? [v[0] / length, v[1] / length] : [0, 0];
+}
+
+// Point on a Bezier curve of any degree (de Casteljau)
+function evaluate(controlPoints, t) {
+    let working = controlPoints.map(point => [...point]);
+    while (working.length > 1) {
+        working = working.slice(1).map((point, i) => [
+            working[i][0] * (1 - t) + point[0] * t,
+            working[i][1] * (1 - t) + point[1] * t
+        ]);
+    }
+    return working[0];
+}
+
+// Control points of the curve's derivative
+function derivative(controlPoints) {
+    const degree = controlPoints.length - 1;
+    return controlPoints.slice(1).map((point, i) => scale(subtract(point, controlPoints[i]), degree));
+}
@@ -0,0 +1,74 @@
+// Body measurements from MediaPipe pose landmarks (pixel coordinates).
+// Landmark indices follow the 33-point BlazePose topology.
+export const LANDMARKS = {
+    leftEye: 2,
+    rightEye: 5,
+    mouthLeft: 9,
+    mouthRight: 10,
+    leftHeel: 29,
+    rightHeel: 30
+};
+
+const MIN_VISIBILITY = 0.5;
+
+// The top of the head is not a landmark. It sits about 1.7 eye-to-mouth
+// distances above the eyes, along the face's own up direction.
+const HEAD_TOP_RATIO = 1.7;
+
+// Scale landmarks from MediaPipe's 0-1 range to pixels
+export function toPixelLandmarks(landmarks, width, height) {
+    if (!landmarks) {
+        return null;
+    }
+
+    return landmarks.map(landmark => ({
+        x: landmark.x * width,
+        y: landmark.y * height,
+        z: landmark.z * width,
+        visibility: landmark.visibility ?? 1
+    }));
+}
+
+function midpoint(a, b) {
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+function isVisible(...landmarks) {
+    return landmarks.every(landmark => landmark && landmark.visibility >= MIN_VISIBILITY);
+}
+
+export function estimateHeadTop(landmarks) {
+    const leftEye = landmarks[LANDMARKS.leftEye];
+    const rightEye = landmarks[LANDMARKS.rightEye];
+    const mouthLeft = landmarks[LANDMARKS.mouthLeft];
+    const mouthRight = landmarks[LANDMARKS.mouthRight];
+
+    if (!isVisible(leftEye, rightEye, mouthLeft, mouthRight)) {
+        return null;
+    }
+
+    const eyes = midpoint(leftEye, rightEye);
+    const mouth = midpoint(mouthLeft, mouthRight);
+    return {
+        x: eyes.x + (eyes.x - mouth.x) * HEAD_TOP_RATIO,
+        y: eyes.y + (eyes.y - mouth.y) * HEAD_TOP_RATIO
+    };
+}
+
+// Head top to heels in pixels, or null unless the whole body is in view
+export function measureBodyHeight(landmarks) {
+    if (!landmarks || landmarks.length < 33) {
+        return null;
+    }
+
+    const headTop = estimateHeadTop(landmarks);
+    const leftHeel = landmarks[LANDMARKS.leftHeel];
+    const rightHeel = landmarks[LANDMARKS.rightHeel];
+
+    if (!headTop || !isVisible(leftHeel, rightHeel)) {
+        return null;
+    }
+
+    const heels = midpoint(leftHeel, rightHeel);
+    return Math.hypot(heels.x - headTop.x, heels.y - headTop.y);
+}
@@ -10,6 +10,13 @@ export class CameraManager {
         this.currentFacingMode = 'user';
         this.isStreaming = false;
         this.hasMultipleCameras = false;
+        this.fileSource = null; // ImageSource or VideoFileSource in place of the camera
+        this.cameraFacingMode = 'user'; // Restored when returning from a file
+        this.frameGovernor = null; // Decides which camera frames are processed, see FrameGovernor
+    }
+
+    setFrameGovernor(governor) {
+        this.frameGovernor = governor;
     }
 
     updateDebug(message) {
@@ -148,35 +155,85 @@ export class CameraManager {
         }
     }
 
+    // Trace a photo or video file instead of the camera. The camera is
+    // released; currentFacingMode becomes the file kind ('image' or
+    // 'video') so exports are labelled accordingly and not mirrored.
+    async useFileSource(source) {
+        const dimensions = await source.open();
+
+        if (this.fileSource) {
+            this.fileSource.close();
+        } else {
+            this.cameraFacingMode = this.currentFacingMode;
+        }
+        this.stop();
+
+        this.fileSource = source;
+        this.currentFacingMode = source.kind;
+        this.videoWidth = dimensions.width;
+        this.videoHeight = dimensions.height;
+        cameraToggle.style.display = 'none';
+        this.setupSVG();
+
+        this.updateDebug(`Tracing ${source.kind} file: ${source.file.name}`);
+        return {
+            width: this.videoWidth,
+            height: this.videoHeight,
+            facingMode: this.currentFacingMode
+        };
+    }
+
+    // Back to the camera after a file
+    async useCamera() {
+        if (this.fileSource) {
+            this.fileSource.close();
+            this.fileSource = null;
+        }
+        this.currentFacingMode = this.cameraFacingMode;
+        this.videoWidth = 640;
+        this.videoHeight = 480;
+        return this.initialize();
+    }
+
     async *getFrameStream() {
+        if (this.fileSource) {
+            // File sources pace their own frames
+            yield* this.fileSource.frames();
+            return;
+        }
+
         this.isStreaming = true;
-        let frameCount = 0;
-        const targetFPS = 24; // Reduce from 30fps for better performance
-        const frameInterval = Math.floor(30 / targetFPS); // Process every Nth frame
+        this.frameGovernor?.startStream();
 
         try {
             while (this.isStreaming) {
                 const { done, value: frame } = await this.reader.read();
                 if (done) break;
+                this.frameGovernor?.frameRead(frame);
 
-                frameCount++;
-
-                // Process fewer frames but more efficiently
-                if (frameCount % frameInterval === 0) {
+                // The governor keeps the processed frame rate to what the device keeps up with
+                if (!this.frameGovernor || this.frameGovernor.shouldProcess()) {
                     yield frame;
                 } else {
                     frame.close();
                 }
             }
         } catch (error) {
-            console.error('Stream processing error:', error);
-            this.updateDebug(`Stream error: ${error.message}`);
+            // Reads fail as expected once the stream is stopped
+            if (this.isStreaming) {
+                console.error('Stream processing error:', error);
+                this.updateDebug(`Stream error: ${error.message}`);
+            }
         }
     }
 
     stop() {
         this.isStreaming = false;
 
+        if (this.fileSource) {
+            this.fileSource.close();
+        }
+
         // Stop the stream reader
         if (this.reader) {
             this.reader.releaseLock();
@@ -0,0 +1,164 @@
+import { captureFile, captureDelay, countdownOverlay, captureReviewDialog, capturePreviewContainer } from './domElements.js';
+import { SVGExporter } from './svgExporter.js';
+import { svgPreviewImage } from './markup.js';
+
+// Countdown options in seconds, cycled by the delay button
+const CAPTURE_DELAYS = [3, 5, 10];
+
+export class CaptureManager {
+    constructor(cameraManager, downloadManager, shareManager, compositionManager) {
+        this.cameraManager = cameraManager;
+        this.downloadManager = downloadManager;
+        this.shareManager = shareManager;
+        this.compositionManager = compositionManager;
+        this.delay = CAPTURE_DELAYS[0];
+        this.countdownTimer = null;
+        this.snapshot = null;
+        this.preview = null; // { image, revoke } while the review dialog is open
+        this.captureListeners = [];
+        this.setupCaptureButtons();
+        this.setupReviewDialog();
+    }
+
+    setupCaptureButtons() {
+        if (captureFile) {
+            captureFile.style.display = 'block';
+            captureFile.addEventListener('click', () => {
+                this.startCountdown();
+            });
+        }
+
+        if (captureDelay) {
+            captureDelay.style.display = 'block';
+            captureDelay.textContent = `${this.delay}s`;
+            captureDelay.addEventListener('click', () => {
+                this.cycleDelay();
+            });
+        }
+
+        // Tapping the countdown cancels it
+        countdownOverlay.addEventListener('click', () => {
+            this.cancelCountdown();
+        });
+    }
+
+    setupReviewDialog() {
+        document.getElementById('captureRetake').addEventListener('click', () => {
+            this.hideReviewDialog();
+            this.startCountdown();
+        });
+
+        document.getElementById('captureDownload').addEventListener('click', () => {
+            this.downloadManager.showFormatPicker(this.snapshot);
+        });
+
+        document.getElementById('captureCompose').addEventListener('click', () => {
+            this.compositionManager.addExposure(this.snapshot);
+            this.hideReviewDialog();
+        });
+
+        document.getElementById('captureShare').addEventListener('click', () => {
+            const snapshot = this.snapshot;
+            this.hideReviewDialog();
+            this.shareManager.showConfirmationDialog(snapshot);
+        });
+
+        // Close dialog when clicking outside
+        captureReviewDialog.addEventListener('click', (e) => {
+            if (e.target.id === 'captureReviewDialog') {
+                this.hideReviewDialog();
+            }
+        });
+    }
+
+    cycleDelay() {
+        const index = CAPTURE_DELAYS.indexOf(this.delay);
+        this.delay = CAPTURE_DELAYS[(index + 1) % CAPTURE_DELAYS.length];
+        captureDelay.textContent = `${this.delay}s`;
+    }
+
+    isCountingDown() {
+        return this.countdownTimer !== null;
+    }
+
+    startCountdown(seconds = this.delay) {
+        if (this.isCountingDown()) {
+            return;
+        }
+
+        let remaining = seconds;
+        countdownOverlay.textContent = remaining;
+        countdownOverlay.style.display = 'block';
+        this.cameraManager.updateDebug(`Capturing in ${remaining}...`);
+
+        this.countdownTimer = setInterval(() => {
+            remaining--;
+            if (remaining > 0) {
+                countdownOverlay.textContent = remaining;
+                return;
+            }
+
+            this.cancelCountdown();
+            this.capture();
+        }, 1000);
+    }
+
+    cancelCountdown() {
+        if (this.countdownTimer) {
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = null;
+        }
+        countdownOverlay.style.display = 'none';
+    }
+
+    // Freeze the outline as it is right now; the live loop keeps running
+    capture() {
+        const snapshot = SVGExporter.captureSnapshot(this.cameraManager);
+
+        if (!snapshot) {
+            this.cameraManager.updateDebug('No body outline to capture');
+
+            // Flash the capture button to indicate no content
+            captureFile.style.background = 'rgba(255, 0, 0, 0.7)';
+            setTimeout(() => {
+                captureFile.style.background = 'rgba(0, 0, 0, 0.7)';
+            }, 500);
+            return null;
+        }
+
+        this.snapshot = snapshot;
+        this.cameraManager.updateDebug('Outline captured');
+        this.captureListeners.forEach(listener => listener(snapshot));
+        this.showReviewDialog();
+        return snapshot;
+    }
+
+    // listener(snapshot) after each capture
+    onCapture(listener) {
+        this.captureListeners.push(listener);
+    }
+
+    showReviewDialog() {
+        const svgData = SVGExporter.createExportableSVG(this.cameraManager, {}, this.snapshot);
+
+        this.revokePreview();
+        this.preview = svgPreviewImage(svgData.svgContent, 'Captured outline');
+        capturePreviewContainer.replaceChildren(this.preview.image);
+
+        captureReviewDialog.style.display = 'flex';
+    }
+
+    hideReviewDialog() {
+        captureReviewDialog.style.display = 'none';
+        capturePreviewContainer.replaceChildren();
+        this.revokePreview();
+        this.snapshot = null;
+    }
+
+    revokePreview() {
+        if (this.preview) {
+            this.preview.revoke();
+            this.preview = null;
+        }
+    }
+}
@@ -0,0 +1,190 @@
+import { compositionToggle, compositionPanel, compositionLayers, compositionGroup } from './domElements.js';
+import { SVGExporter } from './svgExporter.js';
+import { strokeColors } from './palette.js';
+
+// Multi-exposure composition: captured outlines stacked as layers.
+// Exposures are kept bottom-first; the panel lists them top-first.
+export class CompositionManager {
+    constructor(cameraManager, downloadManager) {
+        this.cameraManager = cameraManager;
+        this.downloadManager = downloadManager;
+        this.exposures = [];
+        this.nextId = 1;
+        this.setupPanel();
+    }
+
+    setupPanel() {
+        compositionToggle.addEventListener('click', () => {
+            this.togglePanel();
+        });
+
+        document.getElementById('compositionDownload').addEventListener('click', () => {
+            this.downloadComposition();
+        });
+
+        document.getElementById('compositionClear').addEventListener('click', () => {
+            this.clear();
+        });
+    }
+
+    togglePanel(show = compositionPanel.style.display !== 'flex') {
+        compositionPanel.style.display = show ? 'flex' : 'none';
+    }
+
+    addExposure(snapshot) {
+        const id = this.nextId++;
+
+        // Walk through the palette so neighbouring exposures differ
+        const exposure = {
+            id,
+            label: `Exposure ${id}`,
+            snapshot,
+            strokeColor: strokeColors[(id - 1) % strokeColors.length],
+            visible: true
+        };
+
+        this.exposures.push(exposure);
+        this.cameraManager.updateDebug(`Added ${exposure.label} to composition`);
+        this.render();
+        return exposure;
+    }
+
+    findIndex(id) {
+        return this.exposures.findIndex(exposure => exposure.id === id);
+    }
+
+    // Positive steps move the exposure up the stack (towards the top)
+    moveExposure(id, step) {
+        const index = this.findIndex(id);
+        const target = index + step;
+        if (index === -1 || target < 0 || target >= this.exposures.length) {
+            return;
+        }
+
+        const [exposure] = this.exposures.splice(index, 1);
+        this.exposures.splice(target, 0, exposure);
+        this.render();
+    }
+
+    toggleVisibility(id) {
+        const exposure = this.exposures[this.findIndex(id)];
+        if (exposure) {
+            exposure.visible = !exposure.visible;
+            this.render();
+        }
+    }
+
+    cycleColor(id) {
+        const exposure = this.exposures[this.findIndex(id)];
+        if (exposure) {
+            const index = strokeColors.indexOf(exposure.strokeColor);
+            exposure.strokeColor = strokeColors[(index + 1) % strokeColors.length];
+            this.render();
+        }
+    }
+
+    deleteExposure(id) {
+        const index = this.findIndex(id);
+        if (index !== -1) {
+            this.exposures.splice(index, 1);
+            this.render();
+        }
+    }
+
+    clear() {
+        this.exposures = [];
+        this.render();
+    }
+
+    getVisibleExposures() {
+        return this.exposures.filter(exposure => exposure.visible);
+    }
+
+    downloadComposition() {
+        const composition = SVGExporter.createCompositionSVG(this.getVisibleExposures());
+
+        if (!composition) {
+            this.cameraManager.updateDebug('No visible exposures to download');
+            return;
+        }
+
+        const filename = this.downloadManager.saveFile(composition.svgContent, 'image/svg+xml', 'svg', 'bodychalk-composition');
+        this.cameraManager.updateDebug('Composition downloaded successfully');
+        console.log('Composition downloaded:', filename);
+    }
+
+    render() {
+        compositionToggle.style.display = this.exposures.length > 0 ? 'block' : 'none';
+        if (this.exposures.length === 0) {
+            this.togglePanel(false);
+        }
+
+        this.renderPreview();
+        this.renderLayerList();
+    }
+
+    // Visible exposures are drawn behind the live outline
+    renderPreview() {
+        const paths = this.getVisibleExposures().map(exposure => {
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.classList.add('composition-path');
+            path.setAttribute('d', exposure.snapshot.pathData);
+            path.setAttribute('fill-rule', 'evenodd');
+            path.style.setProperty('--stroke-color', exposure.strokeColor);
+
+            if (exposure.snapshot.cameraMode === 'user') {
+                path.setAttribute('transform', `translate(${exposure.snapshot.width}, 0) scale(-1, 1)`);
+            }
+            return path;
+        });
+
+        compositionGroup.replaceChildren(...paths);
+    }
+
+    renderLayerList() {
+        const items = [...this.exposures].reverse().map((exposure, position) => {
+            const item = document.createElement('li');
+            item.classList.toggle('hidden-layer', !exposure.visible);
+
+            const swatch = document.createElement('button');
+            swatch.className = 'layer-swatch';
+            swatch.title = 'Change color';
+            swatch.style.background = exposure.strokeColor;
+            swatch.addEventListener('click', () => this.cycleColor(exposure.id));
+
+            const label = document.createElement('span');
+            label.className = 'layer-label';
+            label.textContent = exposure.label;
+
+            const isTop = position === 0;
+            const isBottom = position === this.exposures.length - 1;
+
+            item.append(
+                swatch,
+                label,
+                this.createLayerButton('arrow_upward', 'Move up', () => this.moveExposure(exposure.id, 1), isTop),
+                this.createLayerButton('arrow_downward', 'Move down', () => this.moveExposure(exposure.id, -1), isBottom),
+                this.createLayerButton(exposure.visible ? 'visibility' : 'visibility_off', 'Show or hide', () => this.toggleVisibility(exposure.id)),
+                this.createLayerButton('delete', 'Delete', () => this.deleteExposure(exposure.id))
+            );
+            return item;
+        });
+
+        compositionLayers.replaceChildren(...items);
+    }
+
+    createLayerButton(icon, title, onClick, disabled = false) {
+        const button = document.createElement('button');
+        button.className = 'layer-button';
+        button.title = title;
+        button.disabled = disabled;
+
+        const symbol = document.createElement('span');
+        symbol.className = 'material-symbols-outlined';
+        symbol.textContent = icon;
+        button.appendChild(symbol);
+
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
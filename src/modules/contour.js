@@ -1,13 +1,61 @@
+import { BezierFitter } from './bezierFitter.js';
+
+// Marching squares lookup: for each corner case, the segments to draw as
+// [fromEdge, toEdge] pairs. Segments are oriented so the inside of the shape
+// is always on the same side, which lets them be chained into closed loops.
+const MARCHING_SQUARES_SEGMENTS = [];
+for (let caseIndex = 0; caseIndex < 16; caseIndex++) {
+    const segments = [];
+    for (let corner = 0; corner < 4; corner++) {
+        const inside = (caseIndex >> corner) & 1;
+        const previousInside = (caseIndex >> ((corner + 3) % 4)) & 1;
+
+        // A run of inside corners starts here: walk to its end
+        if (inside && !previousInside) {
+            let end = corner;
+            while ((caseIndex >> ((end + 1) % 4)) & 1) {
+                end = (end + 1) % 4;
+            }
+            segments.push([(corner + 3) % 4, end]);
+        }
+    }
+    MARCHING_SQUARES_SEGMENTS.push(segments);
+}
+
+// Saddle cases when the cell center is inside: the two inside corners connect
+const MARCHING_SQUARES_SADDLES = {
+    5: [[1, 0], [3, 2]],
+    10: [[0, 3], [2, 1]]
+};
+
 export class ContourTracer {
     constructor(options = {}) {
         this.threshold = options.threshold || 0.5;
-        this.curveType = options.curveType || 'quadratic'; // 'straight' or 'quadratic'
-        this.curveTension = options.curveTension || 0.5; // 0-1, affects curve smoothness
+        this.curveType = options.curveType || 'quadratic'; // 'straight', 'quadratic' or 'cubic' (fitted)
+        this.maxError = options.maxError || 2; // Cubic: max distance (px) between outline and fitted curves
+        this.bezierFitter = new BezierFitter({ maxError: this.maxError });
         this.removeDuplicates = options.removeDuplicates !== false; // Default to true
         this.overlapThreshold = options.overlapThreshold || 0.7; // Threshold for considering contours as pairs
+        this.tracingMode = options.tracingMode || 'moore'; // 'moore' (pixel tracing) or 'marchingSquares' (sub-pixel)
+        this.isoLevel = options.isoLevel ?? 0.5; // Probability level at which marching squares places the outline
+        this.minContourLength = options.minContourLength ?? 10; // Contours with this few points or fewer are dropped
+        this.simplifyTolerance = options.simplifyTolerance ?? null; // Simplification tolerance (px); null: 1 sub-pixel, 2 pixel
+
+        // Scratch buffer reused between marching squares frames
+        this.edgeLinks = null;
     }
 
     extractContours(segmentation) {
+        // Outer boundaries, each followed by its holes, wound for even-odd fill
+        return this.extractContourHierarchy(segmentation).map(node => node.contour);
+    }
+
+    extractContourHierarchy(segmentation) {
+        const contours = this.traceContours(segmentation);
+        return this.buildContourHierarchy(contours);
+    }
+
+    traceContours(segmentation) {
         // Minimalist mode - reduced logging
         if (Math.random() < 0.05) { // Only log occasionally
             console.log('Processing segmentation...');
@@ -26,6 +74,16 @@ export class ContourTracer {
             return [];
         }
 
+        // Marching squares works on the raw probabilities instead of a binary mask
+        if (this.tracingMode === 'marchingSquares') {
+            const isoLevel = segmentation.isoLevel ?? this.isoLevel;
+            const contours = this.findSubpixelContours(maskData, width, height, isoLevel);
+
+            // Each boundary is traced exactly once, so there are no inner/outer pairs to remove
+            return contours
+                .filter(contour => contour.length > this.minContourLength) // Remove small contours
+                .map(contour => this.simplifyContour(contour, this.simplifyTolerance ?? 1)); // Simplify paths, keeping sub-pixel detail
+        }
 
         // Create a binary mask and check for person pixels
         const mask = new Array(width * height);
@@ -47,8 +105,8 @@ export class ContourTracer {
                 mask[i] = 0;
                 backgroundPixelCount++;
             } else {
-                // Some other value - treat anything > 0.5 as person
-                mask[i] = value > 0.5 ? 1 : 0;
+                // Some other value - treat anything above the threshold as person
+                mask[i] = value > this.threshold ? 1 : 0;
                 if (mask[i] === 1) personPixelCount++;
                 else backgroundPixelCount++;
             }
@@ -67,8 +125,8 @@ export class ContourTracer {
 
         // Filter and simplify contours
         const filteredContours = contours
-            .filter(contour => contour.length > 10) // Remove small contours
-            .map(contour => this.simplifyContour(contour, 2)); // Simplify paths
+            .filter(contour => contour.length > this.minContourLength) // Remove small contours
+            .map(contour => this.simplifyContour(contour, this.simplifyTolerance ?? 2)); // Simplify paths
 
         // Remove duplicate contours (inner/outer pairs)
         const deduplicatedContours = this.removeDuplicateContours(filteredContours);
@@ -94,8 +152,85 @@ export class ContourTracer {
         return paddedMask;
     }
 
+    // Nest contours by containment: a contour's parent is the smallest contour
+    // around it. Even depths are outer boundaries, odd depths are holes.
+    // Outer boundaries are wound clockwise (on screen) and holes
+    // counter-clockwise, so the path fills correctly with either fill rule.
+    buildContourHierarchy(contours) {
+        const nodes = contours.map(contour => ({
+            contour,
+            area: Math.abs(this.calculateSignedArea(contour)),
+            box: this.calculateBoundingBox(contour),
+            parent: null,
+            children: [],
+            depth: 0,
+            isHole: false
+        }));
+
+        // Parent is the smallest enclosing contour
+        nodes.forEach(node => {
+            const [x, y] = node.contour[0];
+            nodes.forEach(candidate => {
+                if (candidate === node || candidate.area <= node.area) return;
+                if (x < candidate.box.minX || x > candidate.box.maxX ||
+                    y < candidate.box.minY || y > candidate.box.maxY) return;
+                if (!this.isPointInContour(x, y, candidate.contour)) return;
+
+                if (!node.parent || candidate.area < node.parent.area) {
+                    node.parent = candidate;
+                }
+            });
+        });
+
+        nodes.forEach(node => {
+            if (node.parent) node.parent.children.push(node);
+        });
+
+        // Walk from the roots so each outer boundary is followed by its holes
+        const ordered = [];
+        const visit = (node, depth) => {
+            node.depth = depth;
+            node.isHole = depth % 2 === 1;
+
+            const clockwise = this.calculateSignedArea(node.contour) > 0;
+            if (clockwise === node.isHole) {
+                node.contour = [...node.contour].reverse();
+            }
+
+            ordered.push(node);
+            node.children.forEach(child => visit(child, depth + 1));
+        };
+        nodes.filter(node => !node.parent).forEach(node => visit(node, 0));
+
+        return ordered;
+    }
+
+    // Shoelace formula; positive is clockwise in screen (y-down) coordinates
+    calculateSignedArea(contour) {
+        let area = 0;
+        for (let i = 0; i < contour.length; i++) {
+            const [x0, y0] = contour[i];
+            const [x1, y1] = contour[(i + 1) % contour.length];
+            area += x0 * y1 - x1 * y0;
+        }
+        return area / 2;
+    }
+
+    // Even-odd ray casting
+    isPointInContour(x, y, contour) {
+        let inside = false;
+        for (let i = 0, j = contour.length - 1; i < contour.length; j = i++) {
+            const [xi, yi] = contour[i];
+            const [xj, yj] = contour[j];
+            if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
     removeDuplicateContours(contours) {
-        if (contours.length <= 1) {
+        if (!this.removeDuplicates || contours.length <= 1) {
             return contours;
         }
 
@@ -114,8 +249,8 @@ export class ContourTracer {
                 
                 const overlap = this.calculateBoundingBoxOverlap(boundingBoxes[i], boundingBoxes[j]);
                 
-                // Consider contours as pairs if they have significant overlap (>70%)
-                if (overlap > 0.7) {
+                // Consider contours as pairs if they have significant overlap
+                if (overlap > this.overlapThreshold) {
                     pairs.push([i, j]);
                     paired.add(i);
                     paired.add(j);
@@ -130,16 +265,12 @@ export class ContourTracer {
             toRemove.add(second); // Remove the second contour from each pair
         });
         
-        // Remove any lone contours (contours that don't have pairs)
-        for (let i = 0; i < contours.length; i++) {
-            if (!paired.has(i)) {
-                toRemove.add(i); // Remove lone contours
-            }
-        }
+        // Lone contours are kept: they are separate shapes or holes, which
+        // buildContourHierarchy sorts out by nesting
         
         // Log deduplication results
         if (Math.random() < 0.1) { // Log occasionally
-            console.log(`Contour deduplication: ${contours.length} → ${contours.length - toRemove.size} (removed ${toRemove.size} duplicates/lone contours)`);
+            console.log(`Contour deduplication: ${contours.length} → ${contours.length - toRemove.size} (removed ${toRemove.size} duplicates)`);
         }
         
         // Return contours that are not marked for removal
@@ -218,6 +349,107 @@ export class ContourTracer {
         return contours;
     }
 
+    // Marching squares over a scalar field, with linear interpolation of each
+    // edge crossing. The field is padded by one cell of zeros so that outlines
+    // touching the frame edge are closed along the border.
+    findSubpixelContours(values, width, height, isoLevel = this.isoLevel) {
+        const paddedWidth = width + 2;
+        const paddedHeight = height + 2;
+        const verticalOffset = paddedWidth * paddedHeight;
+        const linkCount = verticalOffset * 2;
+
+        if (!this.edgeLinks || this.edgeLinks.length !== linkCount) {
+            this.edgeLinks = new Int32Array(linkCount);
+        }
+        const next = this.edgeLinks;
+        next.fill(-1);
+
+        const sample = (x, y) => {
+            if (x < 1 || y < 1 || x > width || y > height) return 0;
+            return values[(y - 1) * width + (x - 1)];
+        };
+
+        // Edge ids: horizontal edges first, then vertical edges
+        const cellEdges = new Int32Array(4);
+        const corners = new Float64Array(4);
+
+        for (let cy = 0; cy < paddedHeight - 1; cy++) {
+            for (let cx = 0; cx < paddedWidth - 1; cx++) {
+                // Corners clockwise: top-left, top-right, bottom-right, bottom-left
+                corners[0] = sample(cx, cy);
+                corners[1] = sample(cx + 1, cy);
+                corners[2] = sample(cx + 1, cy + 1);
+                corners[3] = sample(cx, cy + 1);
+
+                let caseIndex = 0;
+                for (let i = 0; i < 4; i++) {
+                    if (corners[i] > isoLevel) caseIndex |= 1 << i;
+                }
+                if (caseIndex === 0 || caseIndex === 15) continue;
+
+                // Edges clockwise: top, right, bottom, left
+                cellEdges[0] = cy * paddedWidth + cx;
+                cellEdges[1] = verticalOffset + cy * paddedWidth + cx + 1;
+                cellEdges[2] = (cy + 1) * paddedWidth + cx;
+                cellEdges[3] = verticalOffset + cy * paddedWidth + cx;
+
+                let segments = MARCHING_SQUARES_SEGMENTS[caseIndex];
+
+                // Saddle cells are resolved by the value at the cell center
+                if (caseIndex === 5 || caseIndex === 10) {
+                    const center = (corners[0] + corners[1] + corners[2] + corners[3]) / 4;
+                    if (center > isoLevel) {
+                        segments = MARCHING_SQUARES_SADDLES[caseIndex];
+                    }
+                }
+
+                for (const [from, to] of segments) {
+                    next[cellEdges[from]] = cellEdges[to];
+                }
+            }
+        }
+
+        // Position of the iso crossing along an edge
+        const edgePoint = (id) => {
+            const vertical = id >= verticalOffset;
+            const local = vertical ? id - verticalOffset : id;
+            const x = local % paddedWidth;
+            const y = (local - x) / paddedWidth;
+            const v0 = sample(x, y);
+            const v1 = vertical ? sample(x, y + 1) : sample(x + 1, y);
+            const t = (isoLevel - v0) / (v1 - v0);
+
+            // Shift back out of the padded grid and keep points inside the frame
+            const px = vertical ? x - 1 : x - 1 + t;
+            const py = vertical ? y - 1 + t : y - 1;
+            return [
+                Math.min(Math.max(px, 0), width - 1),
+                Math.min(Math.max(py, 0), height - 1)
+            ];
+        };
+
+        // Every crossing has exactly one outgoing segment, so links form closed loops
+        const contours = [];
+        for (let start = 0; start < linkCount; start++) {
+            if (next[start] === -1) continue;
+
+            const contour = [];
+            let id = start;
+            while (id !== -1 && next[id] !== -1) {
+                contour.push(edgePoint(id));
+                const following = next[id];
+                next[id] = -1;
+                id = following;
+            }
+
+            if (contour.length > 2) {
+                contours.push(contour);
+            }
+        }
+
+        return contours;
+    }
+
     isBoundaryPixel(mask, width, height, x, y) {
         const index = y * width + x;
         if (mask[index] === 0) return false;
@@ -371,7 +603,9 @@ export class ContourTracer {
 
         contours.forEach((contour, index) => {
             if (contour.length > 0) {
-                if (this.curveType === 'quadratic') {
+                if (this.curveType === 'cubic') {
+                    pathData += this.contourToCubicSVGPath(contour);
+                } else if (this.curveType === 'quadratic') {
                     pathData += this.contourToQuadraticSVGPath(contour);
                 } else {
                     pathData += this.contourToStraightSVGPath(contour);
@@ -382,10 +616,16 @@ export class ContourTracer {
         return pathData;
     }
 
+    // Sub-pixel contours carry long fractions; two decimals is plenty for output
+    formatCoordinate(value) {
+        return Math.round(value * 100) / 100;
+    }
+
     contourToStraightSVGPath(contour) {
-        let pathData = `M ${contour[0][0]} ${contour[0][1]} `;
+        const f = (value) => this.formatCoordinate(value);
+        let pathData = `M ${f(contour[0][0])} ${f(contour[0][1])} `;
         for (let i = 1; i < contour.length; i++) {
-            pathData += `L ${contour[i][0]} ${contour[i][1]} `;
+            pathData += `L ${f(contour[i][0])} ${f(contour[i][1])} `;
         }
         pathData += 'Z ';
         return pathData;
@@ -397,7 +637,8 @@ export class ContourTracer {
             return this.contourToStraightSVGPath(contour);
         }
 
-        let pathData = `M ${contour[0][0]} ${contour[0][1]} `;
+        const f = (value) => this.formatCoordinate(value);
+        let pathData = `M ${f(contour[0][0])} ${f(contour[0][1])} `;
 
         // Create smooth quadratic curves by using midpoints
         for (let i = 0; i < contour.length; i++) {
@@ -414,10 +655,26 @@ export class ContourTracer {
             const nextMidY = (next[1] + nextNext[1]) / 2;
 
             // Use next point as control point, next midpoint as end point
-            pathData += `Q ${next[0]} ${next[1]} ${nextMidX} ${nextMidY} `;
+            pathData += `Q ${f(next[0])} ${f(next[1])} ${f(nextMidX)} ${f(nextMidY)} `;
         }
 
         pathData += 'Z ';
         return pathData;
     }
+
+    // Fitted cubic Beziers: far fewer segments than one curve per point
+    contourToCubicSVGPath(contour) {
+        const segments = this.bezierFitter.fitClosed(contour);
+        if (segments.length === 0) {
+            return this.contourToStraightSVGPath(contour);
+        }
+
+        const f = (value) => this.formatCoordinate(value);
+        let pathData = `M ${f(segments[0][0][0])} ${f(segments[0][0][1])} `;
+        segments.forEach(([, control1, control2, end]) => {
+            pathData += `C ${f(control1[0])} ${f(control1[1])} ${f(control2[0])} ${f(control2[1])} ${f(end[0])} ${f(end[1])} `;
+        });
+        pathData += 'Z ';
+        return pathData;
+    }
 }
@@ -0,0 +1,54 @@
+// Shared IndexedDB database for data that should survive a reload.
+// Bump DB_VERSION and extend upgrade() when adding an object store.
+const DB_NAME = 'bodychalk';
+const DB_VERSION = 2;
+
+let databasePromise = null;
+
+function upgrade(database) {
+    if (!database.objectStoreNames.contains('outbox')) {
+        database.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+    }
+    if (!database.objectStoreNames.contains('gallery')) {
+        database.createObjectStore('gallery', { keyPath: 'id', autoIncrement: true });
+    }
+}
+
+export function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (!('indexedDB' in self)) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => upgrade(request.result);
+            request.onsuccess = () => {
+                // Let a newer version of the app in another tab upgrade
+                request.result.onversionchange = () => request.result.close();
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later attempt if this one failed (e.g. storage blocked)
+        databasePromise.catch(() => {
+            databasePromise = null;
+        });
+    }
+    return databasePromise;
+}
+
+// Runs fn(store) in a transaction; resolves with the result of the request
+// fn returns, once the transaction has completed
+export async function withStore(storeName, mode, fn) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeName, mode);
+        const request = fn(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
@@ -8,11 +8,72 @@ export const app = document.getElementById('app');
 // Media elements
 export const svgElement = document.getElementById('svg');
 export const bodyGroup = document.getElementById('bodyGroup');
+export const compositionGroup = document.getElementById('compositionGroup');
 export const bodyPath = document.getElementById('bodyPath');
 export const debugElement = document.getElementById('debug');
 export const cameraToggle = document.getElementById('cameraToggle');
 export const downloadFile = document.getElementById('downloadFile');
 export const randomColor = document.getElementById('randomColor');
 export const shareFile = document.getElementById('shareFile');
+export const captureFile = document.getElementById('captureFile');
+export const captureDelay = document.getElementById('captureDelay');
+export const recordMovement = document.getElementById('recordMovement');
+
+// Capture elements
+export const countdownOverlay = document.getElementById('countdownOverlay');
+export const captureReviewDialog = document.getElementById('captureReviewDialog');
+export const capturePreviewContainer = document.getElementById('capturePreviewContainer');
+
+// Download elements
+export const downloadDialog = document.getElementById('downloadDialog');
+export const downloadFormats = document.getElementById('downloadFormats');
+export const imageScale = document.getElementById('imageScale');
+export const imageBackground = document.getElementById('imageBackground');
+export const plotterPaper = document.getElementById('plotterPaper');
+export const plotterMargin = document.getElementById('plotterMargin');
+export const plotterFeedRate = document.getElementById('plotterFeedRate');
+export const plotterScaleToFit = document.getElementById('plotterScaleToFit');
+export const lifeSizeHeight = document.getElementById('lifeSizeHeight');
+export const lifeSizeOverlap = document.getElementById('lifeSizeOverlap');
+
+// Composition elements
+export const compositionToggle = document.getElementById('compositionToggle');
+export const compositionPanel = document.getElementById('compositionPanel');
+export const compositionLayers = document.getElementById('compositionLayers');
+
+// Share outbox elements
+export const outboxToggle = document.getElementById('outboxToggle');
+export const outboxCount = document.getElementById('outboxCount');
+export const outboxPanel = document.getElementById('outboxPanel');
+export const outboxList = document.getElementById('outboxList');
+
+// Tracking status
+export const trackingStatus = document.getElementById('trackingStatus');
+export const trackingLabel = document.getElementById('trackingLabel');
+
+// Gesture elements
+export const gestureIndicator = document.getElementById('gestureIndicator');
+export const gestureLabel = document.getElementById('gestureLabel');
+export const gestureProgress = document.getElementById('gestureProgress');
+
+// Gallery elements
+export const galleryToggle = document.getElementById('galleryToggle');
+export const galleryDialog = document.getElementById('galleryDialog');
+export const galleryGrid = document.getElementById('galleryGrid');
+export const galleryEmpty = document.getElementById('galleryEmpty');
+
+// Input source elements
+export const sourceButton = document.getElementById('sourceButton');
+export const sourceFile = document.getElementById('sourceFile');
+export const videoControls = document.getElementById('videoControls');
+export const videoPlayPause = document.getElementById('videoPlayPause');
+export const videoScrubber = document.getElementById('videoScrubber');
+export const videoTime = document.getElementById('videoTime');
+
+// Settings elements
+export const settingsToggle = document.getElementById('settingsToggle');
+export const settingsPanel = document.getElementById('settingsPanel');
+export const settingsPresets = document.getElementById('settingsPresets');
+export const settingsControls = document.getElementById('settingsControls');
 
 export const loadingSpinner = document.getElementById('loading-spinner');
@@ -1,38 +1,291 @@
-import { downloadFile } from './domElements.js';
+import {
+    downloadFile,
+    downloadDialog,
+    downloadFormats,
+    imageScale,
+    imageBackground,
+    plotterPaper,
+    plotterMargin,
+    plotterFeedRate,
+    plotterScaleToFit,
+    lifeSizeHeight,
+    lifeSizeOverlap
+} from './domElements.js';
 import { SVGExporter } from './svgExporter.js';
+import { DXFExporter } from './dxfExporter.js';
+import { PlotterExporter } from './plotterExporter.js';
+import { RasterExporter } from './rasterExporter.js';
+import { PDFExporter } from './pdfExporter.js';
+import { TiledPrintExporter } from './tiledPrintExporter.js';
+import { backgroundColors } from './palette.js';
+import { skeletonPathData } from './skeleton.js';
 
 export class DownloadManager {
     constructor(cameraManager) {
         this.cameraManager = cameraManager;
+        this.pendingSnapshot = null;
+        this.exportListeners = [];
+
+        // Formats offered in the download dialog. Each turns a snapshot into
+        // file content (a string or Blob, or a promise of one).
+        this.formats = {
+            svg: {
+                label: 'SVG',
+                hint: 'Vector image',
+                extension: 'svg',
+                mimeType: 'image/svg+xml',
+                export: (snapshot) => this.createSVG(snapshot)
+            },
+            png: {
+                label: 'PNG',
+                hint: 'Image for sharing, with glow',
+                extension: 'png',
+                mimeType: 'image/png',
+                export: (snapshot) => {
+                    const { scale, background } = this.getImageOptions();
+                    return RasterExporter.generatePNG(this.createSVG(snapshot), {
+                        width: snapshot.width,
+                        height: snapshot.height,
+                        scale,
+                        background
+                    });
+                }
+            },
+            pdf: {
+                label: 'PDF',
+                hint: 'Printable page, fitted to the paper',
+                extension: 'pdf',
+                mimeType: 'application/pdf',
+                export: (snapshot) => {
+                    const { paperSize, margin } = this.getPlotterOptions();
+                    return PDFExporter.generatePDF({
+                        ...this.getPlotterData(snapshot),
+                        strokeColor: snapshot.strokeColor,
+                        timestamp: snapshot.timestamp
+                    }, {
+                        paperSize,
+                        margin,
+                        background: this.getImageOptions().background
+                    });
+                }
+            },
+            lifesize: {
+                label: 'Life-size print',
+                hint: 'Tiled PDF pages at your real height, to tape together',
+                extension: 'pdf',
+                mimeType: 'application/pdf',
+                export: (snapshot) => {
+                    const { paperSize, margin } = this.getPlotterOptions();
+                    return TiledPrintExporter.generatePDF({
+                        ...this.getPlotterData(snapshot),
+                        strokeColor: snapshot.strokeColor,
+                        bodyHeight: snapshot.bodyHeight,
+                        timestamp: snapshot.timestamp
+                    }, {
+                        ...this.getLifeSizeOptions(),
+                        paperSize,
+                        margin
+                    });
+                }
+            },
+            dxf: {
+                label: 'DXF',
+                hint: 'Laser cutters & vinyl plotters (mm)',
+                extension: 'dxf',
+                mimeType: 'application/dxf',
+                export: (snapshot) => DXFExporter.generateDXF({
+                    ...this.getPlotterData(snapshot),
+                    height: snapshot.height,
+                    bodyHeight: snapshot.bodyHeight,
+                    realHeight: this.getLifeSizeOptions().realHeight
+                })
+            },
+            gcode: {
+                label: 'G-code',
+                hint: 'Pen plotters (GRBL, AxiDraw)',
+                extension: 'gcode',
+                mimeType: 'text/x-gcode',
+                export: (snapshot) => PlotterExporter.generateGCode(
+                    this.getPlotterData(snapshot),
+                    this.getPlotterOptions()
+                )
+            },
+            hpgl: {
+                label: 'HPGL',
+                hint: 'Pen plotters & cutters (one pen per layer)',
+                extension: 'plt',
+                mimeType: 'application/vnd.hp-hpgl',
+                export: (snapshot) => PlotterExporter.generateHPGL(
+                    this.getPlotterData(snapshot),
+                    this.getPlotterOptions()
+                )
+            }
+        };
+
         this.setupDownloadButton();
+        this.setupDownloadDialog();
     }
 
     setupDownloadButton() {
         if (downloadFile) {
             downloadFile.style.display = 'block';
             downloadFile.addEventListener('click', () => {
-                this.downloadSVG();
+                this.showFormatPicker();
             });
         }
     }
 
-    downloadSVG() {
-        try {
-            // Use the consolidated SVG exporter
-            const svgData = SVGExporter.createExportableSVG(this.cameraManager, {
-                title: 'Body Chalk Outline',
-                description: 'Vector body outline generated by bodychalk'
+    setupDownloadDialog() {
+        this.renderFormatButtons();
+
+        document.getElementById('downloadCancel').addEventListener('click', () => {
+            this.hideFormatPicker();
+        });
+
+        // Close dialog when clicking outside
+        downloadDialog.addEventListener('click', (e) => {
+            if (e.target.id === 'downloadDialog') {
+                this.hideFormatPicker();
+            }
+        });
+    }
+
+    renderFormatButtons() {
+        const buttons = Object.entries(this.formats).map(([formatId, format]) => {
+            const button = document.createElement('button');
+            button.className = 'format-button';
+
+            const label = document.createElement('strong');
+            label.textContent = format.label;
+            const hint = document.createElement('span');
+            hint.textContent = format.hint;
+            button.append(label, hint);
+
+            button.addEventListener('click', () => {
+                const snapshot = this.pendingSnapshot;
+                this.hideFormatPicker();
+                this.download(formatId, snapshot);
             });
+            return button;
+        });
 
-            if (!svgData) {
-                console.warn('No body outline to download');
-                this.cameraManager.updateDebug('No body outline to download');
+        downloadFormats.replaceChildren(...buttons);
+    }
+
+    createSVG(snapshot) {
+        return SVGExporter.createExportableSVG(this.cameraManager, {
+            title: 'Body Chalk Outline',
+            description: 'Vector body outline generated by bodychalk'
+        }, snapshot)?.svgContent;
+    }
+
+    // Resolution and background from the dialog's image settings
+    getImageOptions() {
+        const scale = parseFloat(imageScale?.value);
+        return {
+            scale: RasterExporter.RESOLUTIONS.includes(scale) ? scale : 2,
+            background: backgroundColors[imageBackground?.value] ?? null
+        };
+    }
+
+    // Stick figures become layers of their own, drawn as bones and joint polygons
+    getPlotterData(snapshot) {
+        const skeletonPeople = SVGExporter.getSkeletonPeople(snapshot);
+        let layers = snapshot.layers;
+
+        if (skeletonPeople) {
+            const outlineLayers = snapshot.outlineStyle === 'skeleton' ? [] :
+                snapshot.layers || [{ id: 'outline', pathData: snapshot.pathData, strokeColor: snapshot.strokeColor }];
+            const skeletonLayers = skeletonPeople.map(person => ({
+                id: person.id,
+                label: person.label,
+                pathData: skeletonPathData(person.landmarks, snapshot.landmarkVisibility),
+                strokeColor: person.strokeColor
+            }));
+            layers = [...outlineLayers, ...skeletonLayers];
+        }
+
+        return {
+            width: snapshot.width,
+            pathData: snapshot.pathData,
+            layers,
+            shouldMirror: snapshot.cameraMode === 'user'
+        };
+    }
+
+    // Paper, margin and speed from the dialog's plotter settings
+    getPlotterOptions() {
+        const defaults = PlotterExporter.defaultOptions;
+        const margin = parseFloat(plotterMargin?.value);
+        const feedRate = parseFloat(plotterFeedRate?.value);
+
+        return {
+            paperSize: plotterPaper?.value || defaults.paperSize,
+            margin: Number.isFinite(margin) && margin >= 0 ? margin : defaults.margin,
+            feedRate: Number.isFinite(feedRate) && feedRate > 0 ? feedRate : defaults.feedRate,
+            scaleToFit: plotterScaleToFit ? plotterScaleToFit.checked : defaults.scaleToFit
+        };
+    }
+
+    // Real height (entered in cm) and page overlap from the dialog
+    getLifeSizeOptions() {
+        const defaults = TiledPrintExporter.defaultOptions;
+        const height = parseFloat(lifeSizeHeight?.value);
+        const overlap = parseFloat(lifeSizeOverlap?.value);
+
+        return {
+            realHeight: Number.isFinite(height) && height > 0 ? height * 10 : defaults.realHeight,
+            overlap: Number.isFinite(overlap) && overlap >= 0 ? overlap : defaults.overlap
+        };
+    }
 
-                // Flash the download button to indicate no content
-                downloadFile.style.background = 'rgba(255, 0, 0, 0.7)';
-                setTimeout(() => {
-                    downloadFile.style.background = 'rgba(0, 0, 0, 0.7)';
-                }, 500);
+    // Freezes the outline at the moment of the click, then asks for a format
+    showFormatPicker(snapshot = null) {
+        const data = snapshot || SVGExporter.captureSnapshot(this.cameraManager);
+
+        if (!data) {
+            this.showNoOutlineMessage();
+            return;
+        }
+
+        this.pendingSnapshot = data;
+        downloadDialog.style.display = 'flex';
+    }
+
+    hideFormatPicker() {
+        downloadDialog.style.display = 'none';
+        this.pendingSnapshot = null;
+    }
+
+    showNoOutlineMessage() {
+        console.warn('No body outline to download');
+        this.cameraManager.updateDebug('No body outline to download');
+
+        // Flash the download button to indicate no content
+        downloadFile.style.background = 'rgba(255, 0, 0, 0.7)';
+        setTimeout(() => {
+            downloadFile.style.background = 'rgba(0, 0, 0, 0.7)';
+        }, 500);
+    }
+
+    // listener(snapshot, formatId) after each successful download
+    onExport(listener) {
+        this.exportListeners.push(listener);
+    }
+
+    // Downloads the given snapshot (e.g. a frozen capture), or the live outline
+    downloadSVG(snapshot = null) {
+        return this.download('svg', snapshot);
+    }
+
+    async download(formatId, snapshot = null) {
+        const format = this.formats[formatId];
+
+        try {
+            const data = snapshot || SVGExporter.captureSnapshot(this.cameraManager);
+
+            if (!data) {
+                this.showNoOutlineMessage();
                 return;
             }
 
@@ -40,25 +293,16 @@ export class DownloadManager {
             this.cameraManager.updateDebug('Preparing download...');
             downloadFile.style.background = 'rgba(0, 255, 0, 0.7)';
 
-            // Create blob and trigger download
-            const blob = new Blob([svgData.svgContent], { type: 'image/svg+xml' });
-            const url = URL.createObjectURL(blob);
-
-            // Create download link
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `bodychalk-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.svg`;
-
-            // Trigger download
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
+            const content = await format.export(data);
+            if (!content) {
+                throw new Error(`Nothing to export as ${format.label}`);
+            }
 
-            // Clean up object URL
-            URL.revokeObjectURL(url);
+            const filename = this.saveFile(content, format.mimeType, format.extension);
 
-            this.cameraManager.updateDebug('SVG downloaded successfully');
-            console.log('SVG downloaded:', link.download);
+            this.cameraManager.updateDebug(`${format.label} downloaded successfully`);
+            console.log(`${format.label} downloaded:`, filename);
+            this.exportListeners.forEach(listener => listener(data, formatId));
 
             // Reset button color
             setTimeout(() => {
@@ -67,7 +311,7 @@ export class DownloadManager {
 
         } catch (error) {
             console.error('Download failed:', error);
-            this.cameraManager.updateDebug('Download failed');
+            this.cameraManager.updateDebug(`Download failed: ${error.message}`);
 
             // Show error state
             downloadFile.style.background = 'rgba(255, 0, 0, 0.7)';
@@ -76,4 +320,26 @@ export class DownloadManager {
             }, 1000);
         }
     }
+
+    // Save content as a timestamped bodychalk file; returns the file name
+    saveFile(content, mimeType, extension, name = 'bodychalk') {
+        // Create blob and trigger download
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        // Create download link
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${name}-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.${extension}`;
+
+        // Trigger download
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Clean up object URL
+        URL.revokeObjectURL(url);
+
+        return link.download;
+    }
 }
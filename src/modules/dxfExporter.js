@@ -0,0 +1,102 @@
+import { parsePathData } from './pathGeometry.js';
+
+// DXF output for laser cutters and vinyl plotters.
+// Written as AutoCAD R12 (AC1009) closed POLYLINEs, which practically every
+// cutting package reads. Outlines are mirrored like the on-screen view,
+// flipped to DXF's y-up axis and scaled to millimetres: life-size when the
+// body height was measured (bodyHeight px = realHeight mm), otherwise at
+// millimetresPerPixel.
+export class DXFExporter {
+    static generateDXF({
+        width,
+        height,
+        pathData,
+        layers = null,
+        shouldMirror = false,
+        bodyHeight = null, // px, head to heels, see bodyMeasurement.js
+        realHeight = 1700, // mm, the person's real height
+        millimetresPerPixel = 0.5, // Without a measurement: 640x480 frame -> 320x240 mm
+        curveSegments = 8 // Line segments per curve when flattening
+    }) {
+        const sourceLayers = layers || [{ id: 'outline', pathData }];
+        const scale = bodyHeight > 0 ? realHeight / bodyHeight : millimetresPerPixel;
+        const toMillimetres = (value) => (value * scale).toFixed(3);
+
+        const dxfLayers = sourceLayers.map(layer => ({
+            name: DXFExporter.layerName(layer.id),
+            polylines: parsePathData(layer.pathData, curveSegments)
+                .filter(points => points.length > 1)
+                .map(points => points.map(([x, y]) => [
+                    shouldMirror ? width - x : x,
+                    height - y
+                ]))
+        }));
+
+        const lines = [];
+        const add = (code, value) => lines.push(String(code), String(value));
+
+        // Header: version, units (4 = millimetres) and drawing extents
+        add(0, 'SECTION');
+        add(2, 'HEADER');
+        add(9, '$ACADVER');
+        add(1, 'AC1009');
+        add(9, '$INSUNITS');
+        add(70, 4);
+        add(9, '$MEASUREMENT');
+        add(70, 1);
+        add(9, '$EXTMIN');
+        add(10, 0);
+        add(20, 0);
+        add(9, '$EXTMAX');
+        add(10, toMillimetres(width));
+        add(20, toMillimetres(height));
+        add(0, 'ENDSEC');
+
+        // One DXF layer per person or exposure
+        add(0, 'SECTION');
+        add(2, 'TABLES');
+        add(0, 'TABLE');
+        add(2, 'LAYER');
+        add(70, dxfLayers.length);
+        dxfLayers.forEach((layer, index) => {
+            add(0, 'LAYER');
+            add(2, layer.name);
+            add(70, 0);
+            add(62, (index % 7) + 1); // Standard colors 1-7
+            add(6, 'CONTINUOUS');
+        });
+        add(0, 'ENDTAB');
+        add(0, 'ENDSEC');
+
+        add(0, 'SECTION');
+        add(2, 'ENTITIES');
+        dxfLayers.forEach(layer => {
+            layer.polylines.forEach(points => {
+                add(0, 'POLYLINE');
+                add(8, layer.name);
+                add(66, 1); // Vertices follow
+                add(10, 0); // R12 polylines carry a dummy location
+                add(20, 0);
+                add(30, 0);
+                add(70, points.length > 2 ? 1 : 0); // Closed, except single lines (skeleton bones)
+                points.forEach(([x, y]) => {
+                    add(0, 'VERTEX');
+                    add(8, layer.name);
+                    add(10, toMillimetres(x));
+                    add(20, toMillimetres(y));
+                });
+                add(0, 'SEQEND');
+                add(8, layer.name);
+            });
+        });
+        add(0, 'ENDSEC');
+        add(0, 'EOF');
+
+        return lines.join('\n') + '\n';
+    }
+
+    // DXF layer names: letters, digits, dash and underscore
+    static layerName(id) {
+        return String(id || 'outline').toUpperCase().replace(/[^A-Z0-9_-]/g, '_');
+    }
+}
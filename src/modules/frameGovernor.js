@@ -0,0 +1,185 @@
+// Decides how many camera frames are processed, based on how long each one
+// takes. Per-frame latency (frame read to outline drawn) is kept over a
+// rolling window. Frames are processed one at a time, so its slow end (p90)
+// sets the frame rate that can be kept up. Pacing doesn't make a frame any
+// quicker, so the latency budget instead decides, if allowed, the resolution
+// the mask is traced at: lower when over budget, back up with room to spare.
+
+// Input scales tried in turn while frames take longer than the budget
+const RESOLUTION_STEPS = [1, 0.75, 0.5];
+
+// Share of the measured throughput aimed for, leaving time for everything else
+const HEADROOM = 0.9;
+
+export class FrameGovernor {
+    constructor(options = {}) {
+        this.minFPS = options.minFPS || 5;
+        this.maxFPS = options.maxFPS || 30;
+        this.windowSize = options.windowSize || 60; // Frames in the rolling statistics
+        this.latencyBudget = 60; // ms
+        this.adaptiveResolution = false;
+        this.configure(options);
+        this.reset();
+    }
+
+    configure({ latencyBudget, adaptiveResolution }) {
+        this.latencyBudget = latencyBudget ?? this.latencyBudget;
+        this.adaptiveResolution = adaptiveResolution ?? this.adaptiveResolution;
+        if (!this.adaptiveResolution) {
+            this.resolutionStep = 0;
+        }
+    }
+
+    reset() {
+        this.targetFPS = this.maxFPS;
+        this.resolutionStep = 0;
+        this.nextFrameTime = 0;
+        this.samples = []; // { latency, inference, tracing } in ms
+        this.frameTimes = []; // When each sample was recorded, for the rolling FPS
+        this.framesSinceAdjustment = 0;
+        this.skipped = 0; // Left out to keep to the target frame rate
+        this.dropped = 0; // Dropped by the camera stream before they were read
+        this.readTimes = new WeakMap(); // Frame -> when it was read, where latency starts
+        this.startStream();
+    }
+
+    // A new camera stream: its timestamps don't follow on from the last one
+    startStream() {
+        this.lastTimestamp = null;
+        this.frameGaps = []; // µs between recent frames, for the camera's frame interval
+    }
+
+    // Scale for the frame handed to the model (1 is full resolution)
+    get resolutionScale() {
+        return RESOLUTION_STEPS[this.resolutionStep];
+    }
+
+    // Whether a camera frame arriving now should be processed
+    shouldProcess(now = performance.now()) {
+        const interval = 1000 / this.targetFPS;
+
+        // A tenth of an interval's slack, so camera jitter doesn't halve the rate
+        if (now < this.nextFrameTime - interval * 0.1) {
+            this.skipped++;
+            return false;
+        }
+
+        this.nextFrameTime = Math.max(this.nextFrameTime + interval, now);
+        return true;
+    }
+
+    // Called for every frame read from the camera. VideoFrame timestamps are
+    // in µs; a gap of several frame intervals means frames were dropped.
+    frameRead(frame, now = performance.now()) {
+        this.readTimes.set(frame, now);
+
+        if (this.lastTimestamp !== null && frame.timestamp > this.lastTimestamp) {
+            const gap = frame.timestamp - this.lastTimestamp;
+            const gaps = [...this.frameGaps].sort((a, b) => a - b);
+            const interval = gaps[Math.floor(gaps.length / 2)]; // Median, robust to the gaps themselves
+
+            if (interval) {
+                this.dropped += Math.max(0, Math.round(gap / interval) - 1);
+            }
+
+            this.frameGaps.push(gap);
+            if (this.frameGaps.length > this.windowSize) {
+                this.frameGaps.shift();
+            }
+        }
+        this.lastTimestamp = frame.timestamp;
+    }
+
+    // When a frame was read, or undefined for frames that didn't come from the camera
+    readTime(frame) {
+        return this.readTimes.get(frame);
+    }
+
+    // latency: the whole frame in ms, including the hop to the worker and
+    // drawing; timing: { inference, tracing } in ms, from the pipeline
+    record(latency, timing = {}, now = performance.now()) {
+        this.samples.push({
+            latency,
+            inference: timing.inference ?? 0,
+            tracing: timing.tracing ?? 0
+        });
+        this.frameTimes.push(now);
+        if (this.samples.length > this.windowSize) {
+            this.samples.shift();
+            this.frameTimes.shift();
+        }
+
+        this.adapt();
+    }
+
+    // Judged only on frames since the last change, so each change gets a
+    // quarter of a window to show its effect
+    adapt() {
+        this.framesSinceAdjustment++;
+        if (this.framesSinceAdjustment < this.windowSize / 4) {
+            return;
+        }
+
+        const latency = this.percentile(90, 'latency', this.framesSinceAdjustment);
+        if (latency > 0) {
+            const sustainable = Math.floor((1000 / latency) * HEADROOM);
+            this.targetFPS = Math.min(this.maxFPS, Math.max(this.minFPS, sustainable));
+        }
+
+        if (this.adaptiveResolution) {
+            if (latency > this.latencyBudget && this.resolutionStep < RESOLUTION_STEPS.length - 1) {
+                this.resolutionStep++;
+            } else if (latency < this.latencyBudget * 0.6 && this.resolutionStep > 0) {
+                this.resolutionStep--;
+            }
+        }
+
+        this.framesSinceAdjustment = 0;
+    }
+
+    // Nearest-rank percentile over the last count samples
+    percentile(p, key = 'latency', count = this.samples.length) {
+        const values = this.samples.slice(-count).map(sample => sample[key]).sort((a, b) => a - b);
+        if (values.length === 0) {
+            return 0;
+        }
+        const rank = Math.ceil((p / 100) * values.length);
+        return values[Math.min(values.length, Math.max(rank, 1)) - 1];
+    }
+
+    // Processed frames per second over the window
+    get fps() {
+        if (this.frameTimes.length < 2) {
+            return 0;
+        }
+        const span = this.frameTimes[this.frameTimes.length - 1] - this.frameTimes[0];
+        return span > 0 ? ((this.frameTimes.length - 1) * 1000) / span : 0;
+    }
+
+    getStats() {
+        return {
+            fps: this.fps,
+            targetFPS: this.targetFPS,
+            p50: this.percentile(50),
+            p90: this.percentile(90),
+            p99: this.percentile(99),
+            inference: this.percentile(50, 'inference'),
+            tracing: this.percentile(50, 'tracing'),
+            skipped: this.skipped,
+            dropped: this.dropped,
+            resolutionScale: this.resolutionScale
+        };
+    }
+
+    // A few lines for the debug overlay
+    describe() {
+        const stats = this.getStats();
+        const ms = value => `${Math.round(value)}ms`;
+        return [
+            `FPS: ${stats.fps.toFixed(1)} (target ${stats.targetFPS}, scale ${stats.resolutionScale})`,
+            `Latency p50/p90/p99: ${ms(stats.p50)} / ${ms(stats.p90)} / ${ms(stats.p99)} (budget ${ms(this.latencyBudget)})`,
+            `Inference ${ms(stats.inference)}, tracing ${ms(stats.tracing)}`,
+            `Skipped: ${stats.skipped}, dropped: ${stats.dropped}`
+        ].join('\n');
+    }
+}
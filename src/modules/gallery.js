@@ -0,0 +1,261 @@
+import { galleryToggle, galleryDialog, galleryGrid, galleryEmpty } from './domElements.js';
+import { SVGExporter } from './svgExporter.js';
+import { strokeColors } from './palette.js';
+import { withStore } from './database.js';
+import { svgPreviewImage } from './markup.js';
+
+// On-device gallery of past outlines, kept in IndexedDB. Every capture,
+// download and share is saved, so an outline can be exported again in
+// another format, shared again or recolored later. Items are listed newest first.
+export class GalleryManager {
+    constructor(cameraManager, downloadManager, shareManager) {
+        this.cameraManager = cameraManager;
+        this.downloadManager = downloadManager;
+        this.shareManager = shareManager;
+        this.items = [];
+        this.thumbnails = []; // { image, revoke } of the cards shown
+        this.clearTimer = null;
+        this.setupDialog();
+        this.load();
+    }
+
+    setupDialog() {
+        galleryToggle.style.display = 'block';
+        galleryToggle.addEventListener('click', () => {
+            this.showDialog();
+        });
+
+        document.getElementById('galleryClose').addEventListener('click', () => {
+            this.hideDialog();
+        });
+
+        document.getElementById('galleryClear').addEventListener('click', () => {
+            this.confirmClear();
+        });
+
+        // Close dialog when clicking outside
+        galleryDialog.addEventListener('click', (e) => {
+            if (e.target.id === 'galleryDialog') {
+                this.hideDialog();
+            }
+        });
+    }
+
+    async load() {
+        try {
+            this.items = await withStore('gallery', 'readonly', store => store.getAll());
+        } catch (error) {
+            console.warn('Gallery unavailable:', error);
+            this.items = [];
+        }
+        this.render();
+    }
+
+    // Saves a snapshot (see SVGExporter.captureSnapshot) unless it's already in
+    // the gallery, e.g. when a gallery item or a capture is downloaded
+    async add(snapshot) {
+        if (!snapshot || this.items.some(item => item.snapshot.timestamp === snapshot.timestamp)) {
+            return null;
+        }
+
+        const item = {
+            createdAt: Date.now(),
+            snapshot: {
+                pathData: snapshot.pathData,
+                layers: snapshot.layers,
+                strokeColor: snapshot.strokeColor,
+                bodyHeight: snapshot.bodyHeight ?? null,
+                cameraMode: snapshot.cameraMode,
+                timestamp: snapshot.timestamp,
+                width: snapshot.width,
+                height: snapshot.height,
+                landmarks: snapshot.landmarks || [],
+                outlineStyle: snapshot.outlineStyle || 'silhouette',
+                landmarkVisibility: snapshot.landmarkVisibility ?? 0.5
+            }
+        };
+
+        try {
+            item.id = await withStore('gallery', 'readwrite', store => store.add(item));
+        } catch (error) {
+            console.warn('Could not save to the gallery:', error);
+            return null;
+        }
+
+        this.items.push(item);
+        this.render();
+        return item;
+    }
+
+    findItem(id) {
+        return this.items.find(item => item.id === id);
+    }
+
+    async update(item) {
+        try {
+            await withStore('gallery', 'readwrite', store => store.put(item));
+        } catch (error) {
+            console.warn('Could not update gallery item:', error);
+        }
+        this.render();
+    }
+
+    // Moves the outline (and each person's layer) on to the next palette color
+    recolor(id) {
+        const item = this.findItem(id);
+        if (!item) return;
+
+        const nextColor = (color) => strokeColors[(strokeColors.indexOf(color) + 1) % strokeColors.length];
+        item.snapshot.strokeColor = nextColor(item.snapshot.strokeColor);
+        if (item.snapshot.layers) {
+            item.snapshot.layers = item.snapshot.layers.map(layer => ({
+                ...layer,
+                strokeColor: nextColor(layer.strokeColor)
+            }));
+        }
+        this.update(item);
+    }
+
+    async delete(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        try {
+            await withStore('gallery', 'readwrite', store => store.delete(id));
+        } catch (error) {
+            console.warn('Could not delete gallery item:', error);
+        }
+        this.render();
+    }
+
+    // Deleting everything takes a second tap within a few seconds
+    confirmClear() {
+        const button = document.getElementById('galleryClear');
+        if (!this.clearTimer) {
+            button.textContent = 'Tap again to delete all';
+            this.clearTimer = setTimeout(() => this.resetClearButton(), 3000);
+            return;
+        }
+
+        this.resetClearButton();
+        this.clear();
+    }
+
+    resetClearButton() {
+        clearTimeout(this.clearTimer);
+        this.clearTimer = null;
+        document.getElementById('galleryClear').textContent = 'Delete all';
+    }
+
+    async clear() {
+        this.items = [];
+        try {
+            await withStore('gallery', 'readwrite', store => store.clear());
+        } catch (error) {
+            console.warn('Could not clear the gallery:', error);
+        }
+        this.cameraManager.updateDebug('Gallery cleared');
+        this.render();
+    }
+
+    download(id) {
+        const item = this.findItem(id);
+        if (item) {
+            this.downloadManager.showFormatPicker(item.snapshot);
+        }
+    }
+
+    share(id) {
+        const item = this.findItem(id);
+        if (item) {
+            this.shareManager.showConfirmationDialog(item.snapshot);
+        }
+    }
+
+    showDialog() {
+        this.render();
+        galleryDialog.style.display = 'flex';
+    }
+
+    hideDialog() {
+        galleryDialog.style.display = 'none';
+        this.resetClearButton();
+        this.revokeThumbnails();
+    }
+
+    revokeThumbnails() {
+        this.thumbnails.forEach(thumbnail => thumbnail.revoke());
+        this.thumbnails = [];
+    }
+
+    // Thumbnails are only drawn while the dialog is open
+    render() {
+        if (galleryDialog.style.display !== 'flex') {
+            return;
+        }
+
+        this.revokeThumbnails();
+        galleryEmpty.style.display = this.items.length === 0 ? 'block' : 'none';
+        document.getElementById('galleryClear').disabled = this.items.length === 0;
+
+        const cards = [...this.items]
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(item => this.createCard(item));
+
+        galleryGrid.replaceChildren(...cards);
+    }
+
+    createCard(item) {
+        const card = document.createElement('li');
+        card.className = 'gallery-item';
+
+        const svgData = SVGExporter.createExportableSVG(this.cameraManager, {}, item.snapshot);
+        let image;
+        if (svgData) {
+            const thumbnail = svgPreviewImage(svgData.svgContent, 'Saved outline');
+            this.thumbnails.push(thumbnail);
+            image = thumbnail.image;
+        } else {
+            image = document.createElement('img');
+            image.alt = 'Saved outline';
+        }
+
+        const label = document.createElement('span');
+        label.className = 'gallery-label';
+        label.textContent = new Date(item.snapshot.timestamp).toLocaleString([], {
+            dateStyle: 'short',
+            timeStyle: 'short'
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'gallery-actions';
+
+        const swatch = document.createElement('button');
+        swatch.className = 'layer-swatch';
+        swatch.title = 'Change color';
+        swatch.style.background = item.snapshot.strokeColor;
+        swatch.addEventListener('click', () => this.recolor(item.id));
+
+        actions.append(
+            swatch,
+            this.createItemButton('download', 'Download', () => this.download(item.id)),
+            this.createItemButton('share', 'Share', () => this.share(item.id)),
+            this.createItemButton('delete', 'Delete', () => this.delete(item.id))
+        );
+
+        card.append(image, label, actions);
+        return card;
+    }
+
+    createItemButton(icon, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'layer-button';
+        button.title = title;
+
+        const symbol = document.createElement('span');
+        symbol.className = 'material-symbols-outlined';
+        symbol.textContent = icon;
+        button.appendChild(symbol);
+
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
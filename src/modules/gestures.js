@@ -0,0 +1,194 @@
+import { isLandmarkVisible } from './skeleton.js';
+
+// Gesture commands for people standing out of reach of the buttons. Each
+// gesture is recognised from pixel landmarks of the person nearest the camera
+// (widest shoulders), has to be held for its hold time, and then rests for
+// its cooldown. A gesture has to be released before it can fire again.
+
+const NOSE = 0;
+const LEFT_SHOULDER = 11, RIGHT_SHOULDER = 12;
+const LEFT_ELBOW = 13, RIGHT_ELBOW = 14;
+const LEFT_WRIST = 15, RIGHT_WRIST = 16;
+const LEFT_HIP = 23, RIGHT_HIP = 24;
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// Landmarks by index, or null if any of them isn't visible enough
+function pick(landmarks, indices, threshold) {
+    const points = indices.map(index => landmarks[index]);
+    return points.every(point => isLandmarkVisible(point, threshold)) ? points : null;
+}
+
+// detect(landmarks, threshold) -> boolean. Distances are relative to the
+// shoulder width, so they hold at any distance from the camera.
+export const GESTURES = {
+    handsUp: {
+        label: 'Both hands up',
+        hold: 1000, // ms
+        cooldown: 5000, // ms
+        detect(landmarks, threshold) {
+            const points = pick(landmarks, [NOSE, LEFT_SHOULDER, RIGHT_SHOULDER, LEFT_WRIST, RIGHT_WRIST], threshold);
+            if (!points) return false;
+
+            const [nose, leftShoulder, rightShoulder, leftWrist, rightWrist] = points;
+            const margin = distance(leftShoulder, rightShoulder) * 0.2;
+            return leftWrist.y < nose.y - margin && rightWrist.y < nose.y - margin;
+        }
+    },
+    tPose: {
+        label: 'T-pose',
+        hold: 1000,
+        cooldown: 3000,
+        detect(landmarks, threshold) {
+            const points = pick(landmarks, [LEFT_SHOULDER, RIGHT_SHOULDER, LEFT_ELBOW, RIGHT_ELBOW, LEFT_WRIST, RIGHT_WRIST], threshold);
+            if (!points) return false;
+
+            const [leftShoulder, rightShoulder, leftElbow, rightElbow, leftWrist, rightWrist] = points;
+            const shoulderWidth = distance(leftShoulder, rightShoulder);
+            const tolerance = shoulderWidth * 0.35;
+
+            // Arms straight out: elbows and wrists level with the shoulders,
+            // and the hands far apart
+            const level = [[leftShoulder, leftElbow, leftWrist], [rightShoulder, rightElbow, rightWrist]]
+                .every(([shoulder, elbow, wrist]) =>
+                    Math.abs(elbow.y - shoulder.y) < tolerance && Math.abs(wrist.y - shoulder.y) < tolerance);
+            return level && distance(leftWrist, rightWrist) > shoulderWidth * 2.5;
+        }
+    },
+    handOnHip: {
+        label: 'Hand on hip',
+        hold: 2000,
+        cooldown: 5000,
+        detect(landmarks, threshold) {
+            const points = pick(landmarks, [LEFT_SHOULDER, RIGHT_SHOULDER], threshold);
+            if (!points) return false;
+
+            const [leftShoulder, rightShoulder] = points;
+            const shoulderWidth = distance(leftShoulder, rightShoulder);
+            const midline = (leftShoulder.x + rightShoulder.x) / 2;
+
+            // Wrist at the hip with the elbow bent out to the side; a hanging
+            // arm also has its wrist near the hip, but its elbow stays in
+            return [[LEFT_SHOULDER, LEFT_ELBOW, LEFT_WRIST, LEFT_HIP], [RIGHT_SHOULDER, RIGHT_ELBOW, RIGHT_WRIST, RIGHT_HIP]]
+                .some(indices => {
+                    const arm = pick(landmarks, indices, threshold);
+                    if (!arm) return false;
+
+                    const [shoulder, elbow, wrist, hip] = arm;
+                    const wristAtHip = distance(wrist, hip) < shoulderWidth * 0.4;
+                    const elbowOut = Math.abs(elbow.x - midline) > Math.abs(shoulder.x - midline) + shoulderWidth * 0.25;
+                    return wristAtHip && elbowOut;
+                });
+        }
+    }
+};
+
+export class GestureRecognizer {
+    constructor(options = {}) {
+        this.enabled = options.enabled || false;
+        this.threshold = options.threshold || 0.5; // Landmark visibility needed
+        this.bindings = options.bindings || {}; // Gesture name -> action name
+        this.actions = {}; // Action name -> function
+        this.progressListeners = [];
+        this.reset();
+    }
+
+    reset() {
+        // Gesture name -> { since, fired, cooldownUntil }
+        this.states = Object.fromEntries(Object.keys(GESTURES).map(name => [name, {
+            since: null,
+            fired: false,
+            cooldownUntil: 0
+        }]));
+        this.notifyProgress(null, 0);
+    }
+
+    // Held gestures and cooldowns are only reset when something gestures
+    // depend on changes, so moving other settings can't re-fire a held one
+    configure({ enabled, threshold, bindings }) {
+        const previous = { enabled: this.enabled, threshold: this.threshold, bindings: this.bindings };
+        this.enabled = enabled ?? this.enabled;
+        this.threshold = threshold ?? this.threshold;
+        this.bindings = bindings ?? this.bindings;
+
+        const bindingsChanged = Object.keys(GESTURES)
+            .some(name => this.bindings[name] !== previous.bindings[name]);
+        if (this.enabled !== previous.enabled || this.threshold !== previous.threshold || bindingsChanged) {
+            this.reset();
+        }
+    }
+
+    // actions: { capture: () => ..., color: () => ... }
+    setActions(actions) {
+        this.actions = { ...this.actions, ...actions };
+    }
+
+    // The person closest to the camera has the widest shoulders
+    static choosePerson(people) {
+        let best = null;
+        let bestWidth = 0;
+        people.forEach(person => {
+            const shoulders = person.landmarks && [person.landmarks[LEFT_SHOULDER], person.landmarks[RIGHT_SHOULDER]];
+            if (!shoulders || !shoulders[0] || !shoulders[1]) return;
+
+            const width = distance(shoulders[0], shoulders[1]);
+            if (width > bestWidth) {
+                best = person;
+                bestWidth = width;
+            }
+        });
+        return best;
+    }
+
+    // people: [{ id, landmarks }] in pixels, as from the pose pipeline
+    update(people, now = performance.now()) {
+        if (!this.enabled) return;
+
+        const person = GestureRecognizer.choosePerson(people);
+        let strongest = null;
+        let strongestProgress = 0;
+
+        Object.entries(GESTURES).forEach(([name, gesture]) => {
+            const state = this.states[name];
+            const action = this.actions[this.bindings[name]];
+            const active = Boolean(action && person && gesture.detect(person.landmarks, this.threshold));
+
+            if (!active) {
+                state.since = null;
+                state.fired = false;
+                return;
+            }
+            if (state.fired || now < state.cooldownUntil) {
+                return;
+            }
+
+            if (state.since === null) {
+                state.since = now;
+            }
+            const progress = Math.min((now - state.since) / gesture.hold, 1);
+            if (progress >= 1) {
+                state.fired = true;
+                state.since = null;
+                state.cooldownUntil = now + gesture.cooldown;
+                console.log(`Gesture: ${gesture.label} -> ${this.bindings[name]}`);
+                action();
+            } else if (progress > strongestProgress) {
+                strongest = name;
+                strongestProgress = progress;
+            }
+        });
+
+        this.notifyProgress(strongest, strongestProgress);
+    }
+
+    // listener(gestureName or null, progress 0..1) while a gesture is held
+    onProgress(listener) {
+        this.progressListeners.push(listener);
+    }
+
+    notifyProgress(name, progress) {
+        this.progressListeners.forEach(listener => listener(name, progress));
+    }
+}
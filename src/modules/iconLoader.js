@@ -1,25 +1,20 @@
 // iconLoader.js
+import 'material-symbols/outlined.css';
 
 /**
- * Dynamically loads a Google Fonts stylesheet for Material Symbols Outlined,
- * constructing the URL based on an alphabetically sorted list of icon names.
+ * Loads the Material Symbols Outlined font, which is bundled with the app
+ * (from the material-symbols package) so icons work without a network.
+ * The listed icons are rendered once so they're ready before they're shown.
  *
  * @param {string[]} iconNames - An array of icon names.
+ * @returns {Promise<void>}
  */
 export function loadIcons(iconNames) {
-    // Sort the array alphabetically
-    iconNames.sort();
+    if (!document.fonts) {
+        return Promise.resolve();
+    }
 
-    // Construct the base URL and the icons parameter
-    const baseUrl = "https://fonts.googleapis.com/css2?family=Material+Symbols+Outlined:opsz,wght,FILL,GRAD@20..48,100..700,0..1,-50..200";
-    const iconsParam = iconNames.join(',');
-    const fullUrl = `${baseUrl}&icon_names=${iconsParam}`;
-
-    // Create the link element and set its attributes
-    const linkElement = document.createElement('link');
-    linkElement.rel = "stylesheet";
-    linkElement.href = fullUrl;
-
-    // Append the link element to the document head
-    document.head.appendChild(linkElement);
-}
\ No newline at end of file
+    return document.fonts.load('24px "Material Symbols Outlined"', iconNames.join(' '))
+        .then(() => undefined)
+        .catch(error => console.warn('Icon font failed to load:', error));
+}
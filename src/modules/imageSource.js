@@ -0,0 +1,66 @@
+// A still photo as a frame source. The same frame is offered again every
+// interval so changes made in the settings panel show up on the photo.
+export class ImageSource {
+    constructor(file, options = {}) {
+        this.file = file;
+        this.kind = 'image';
+        this.runningMode = 'IMAGE';
+        this.maxSize = options.maxSize || 960; // Longest side (px) passed to the model
+        this.interval = options.interval || 500; // ms between repeated frames
+        this.bitmap = null;
+        this.closed = false;
+        this.streaming = false;
+        this.timer = null;
+        this.wake = null;
+    }
+
+    async open() {
+        const original = await createImageBitmap(this.file);
+        const scale = Math.min(1, this.maxSize / Math.max(original.width, original.height));
+
+        if (scale < 1) {
+            this.bitmap = await createImageBitmap(original, {
+                resizeWidth: Math.round(original.width * scale),
+                resizeHeight: Math.round(original.height * scale),
+                resizeQuality: 'high'
+            });
+            original.close();
+        } else {
+            this.bitmap = original;
+        }
+
+        return { width: this.bitmap.width, height: this.bitmap.height };
+    }
+
+    async *frames() {
+        this.streaming = true;
+        try {
+            while (!this.closed) {
+                yield new VideoFrame(this.bitmap, { timestamp: Math.round(performance.now() * 1000) });
+                await new Promise(resolve => {
+                    this.wake = resolve;
+                    this.timer = setTimeout(resolve, this.interval);
+                });
+            }
+        } finally {
+            if (this.bitmap) {
+                this.bitmap.close();
+                this.bitmap = null;
+            }
+        }
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.timer);
+        if (this.wake) {
+            this.wake();
+        }
+
+        // Otherwise the frame loop releases the bitmap when it ends
+        if (!this.streaming && this.bitmap) {
+            this.bitmap.close();
+            this.bitmap = null;
+        }
+    }
+}
@@ -0,0 +1,66 @@
+// Safe building blocks for generated markup. Anything that isn't a constant
+// (titles, labels, colors, ids, path data, metadata) goes through one of
+// these before it's written into an SVG file, so user-typed text can't break
+// the file or smuggle in script.
+
+// Text content and attribute values
+export function escapeXML(value) {
+    return String(value ?? '')
+        // Control characters aren't allowed in XML 1.0 at all
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Element names (e.g. metadata keys): letters, digits, dot, dash and
+// underscore, not starting with a digit, dot or dash
+export function xmlName(name) {
+    const cleaned = String(name ?? '').replace(/[^A-Za-z0-9._-]/g, '-');
+    return /^[A-Za-z_]/.test(cleaned) ? cleaned : `_${cleaned}`;
+}
+
+// ids double as CSS selectors in the exported style sheet
+export function cssIdentifier(id) {
+    const cleaned = String(id ?? '').replace(/[^A-Za-z0-9_-]/g, '-');
+    return /^[A-Za-z_]/.test(cleaned) ? cleaned : `_${cleaned}`;
+}
+
+// Colors are written into CSS: only hex, rgb()/rgba()/hsl()/hsla() and
+// named colors get through
+export function cssColor(color, fallback = '#00ff00') {
+    const value = String(color ?? '').trim();
+    const isHex = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value);
+    const isFunction = /^(?:rgb|rgba|hsl|hsla)\([\d\s.,%/+-]+\)$/i.test(value);
+    const isNamed = /^[a-z]+$/i.test(value);
+    return isHex || isFunction || isNamed ? value : fallback;
+}
+
+// SVG path data only ever holds commands, numbers and separators
+export function sanitizePathData(value) {
+    return String(value ?? '').replace(/[^MmLlHhVvCcSsQqTtAaZz0-9eE.,+\-\s]/g, '');
+}
+
+// Links from a server are only followed to web pages: anything else, such as
+// javascript: or data: URLs, gives null
+export function webURL(value) {
+    try {
+        const url = new URL(String(value ?? ''));
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch {
+        return null;
+    }
+}
+
+// SVG markup shown as an <img>, so it's never inserted into the page (an SVG
+// image can't run script or restyle the app). Returns the image and a revoke
+// function that frees its blob URL once it's no longer shown.
+export function svgPreviewImage(svgContent, alt) {
+    const url = URL.createObjectURL(new Blob([svgContent], { type: 'image/svg+xml' }));
+    const image = document.createElement('img');
+    image.src = url;
+    image.alt = alt;
+    return { image, revoke: () => URL.revokeObjectURL(url) };
+}
@@ -0,0 +1,238 @@
+// Clean-up of the segmentation mask before tracing. Each step is off at 0:
+// blur smooths ragged probability edges; open removes specks and thin spurs;
+// close bridges narrow gaps (e.g. between fingers); small islands and
+// interior holes are dropped or filled by area; offset grows the silhouette
+// for a chalk-outline look with space around the body.
+// Morphology uses round structuring elements via a Euclidean distance transform.
+export class MaskRefiner {
+    constructor(options = {}) {
+        this.blurRadius = options.blurRadius || 0; // px, Gaussian blur of the probabilities
+        this.openRadius = options.openRadius || 0; // px, erode then dilate
+        this.closeRadius = options.closeRadius || 0; // px, dilate then erode
+        this.minIslandArea = options.minIslandArea || 0; // px², smaller separate blobs are removed
+        this.maxHoleArea = options.maxHoleArea || 0; // px², enclosed holes up to this size are filled
+        this.offset = options.offset || 0; // px, final dilation of the silhouette
+    }
+
+    get usesBinaryMask() {
+        return this.openRadius > 0 || this.closeRadius > 0 || this.minIslandArea > 0 ||
+            this.maxHoleArea > 0 || this.offset > 0;
+    }
+
+    get isEnabled() {
+        return this.blurRadius > 0 || this.usesBinaryMask;
+    }
+
+    // Returns probabilities of the same size; the input is never modified
+    refine(values, width, height, threshold = 0.5) {
+        if (!this.isEnabled) {
+            return values;
+        }
+
+        let probabilities = this.blurRadius > 0 ?
+            this.gaussianBlur(values, width, height, this.blurRadius) :
+            values;
+
+        if (!this.usesBinaryMask) {
+            return probabilities;
+        }
+
+        let mask = new Uint8Array(width * height);
+        for (let i = 0; i < mask.length; i++) {
+            mask[i] = probabilities[i] > threshold ? 1 : 0;
+        }
+
+        if (this.openRadius > 0) {
+            mask = this.dilate(this.erode(mask, width, height, this.openRadius), width, height, this.openRadius);
+        }
+        if (this.closeRadius > 0) {
+            mask = this.erode(this.dilate(mask, width, height, this.closeRadius), width, height, this.closeRadius);
+        }
+        if (this.minIslandArea > 0) {
+            mask = this.removeSmallComponents(mask, width, height, 1, this.minIslandArea, false);
+        }
+        if (this.maxHoleArea > 0) {
+            // Background regions touching the frame edge are outside, not holes
+            mask = this.removeSmallComponents(mask, width, height, 0, this.maxHoleArea + 1, true);
+        }
+        if (this.offset > 0) {
+            mask = this.dilate(mask, width, height, this.offset);
+        }
+
+        // Back to soft values, centred on the threshold, so sub-pixel tracing
+        // still finds smooth edges instead of pixel stairs
+        probabilities = new Float32Array(mask.length);
+        for (let i = 0; i < mask.length; i++) {
+            probabilities[i] = mask[i];
+        }
+        const softened = this.gaussianBlur(probabilities, width, height, 1);
+        for (let i = 0; i < softened.length; i++) {
+            softened[i] = threshold + (softened[i] - 0.5) * 2 * Math.min(threshold, 1 - threshold);
+        }
+        return softened;
+    }
+
+    // Separable Gaussian with sigma = radius / 2
+    gaussianBlur(values, width, height, radius) {
+        const size = Math.ceil(radius);
+        const sigma = Math.max(radius / 2, 0.5);
+        const kernel = [];
+        let total = 0;
+        for (let offset = -size; offset <= size; offset++) {
+            const weight = Math.exp(-(offset * offset) / (2 * sigma * sigma));
+            kernel.push(weight);
+            total += weight;
+        }
+        for (let k = 0; k < kernel.length; k++) kernel[k] /= total;
+
+        const horizontal = new Float32Array(width * height);
+        const output = new Float32Array(width * height);
+
+        // Edges are extended by clamping to the nearest pixel
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = -size; k <= size; k++) {
+                    const sx = Math.min(Math.max(x + k, 0), width - 1);
+                    sum += values[row + sx] * kernel[k + size];
+                }
+                horizontal[row + x] = sum;
+            }
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = -size; k <= size; k++) {
+                    const sy = Math.min(Math.max(y + k, 0), height - 1);
+                    sum += horizontal[sy * width + x] * kernel[k + size];
+                }
+                output[y * width + x] = sum;
+            }
+        }
+
+        return output;
+    }
+
+    dilate(mask, width, height, radius) {
+        const distances = this.distanceTransform(mask, width, height, 1);
+        const limit = radius * radius;
+        const output = new Uint8Array(mask.length);
+        for (let i = 0; i < mask.length; i++) {
+            output[i] = distances[i] <= limit ? 1 : 0;
+        }
+        return output;
+    }
+
+    erode(mask, width, height, radius) {
+        // Outside the frame counts as foreground, so the body isn't eaten away
+        // where it leaves the picture
+        const distances = this.distanceTransform(mask, width, height, 0);
+        const limit = radius * radius;
+        const output = new Uint8Array(mask.length);
+        for (let i = 0; i < mask.length; i++) {
+            output[i] = distances[i] > limit ? 1 : 0;
+        }
+        return output;
+    }
+
+    // Squared Euclidean distance from every pixel to the nearest pixel whose
+    // mask value is target (Felzenszwalb & Huttenlocher, linear time)
+    distanceTransform(mask, width, height, target) {
+        const INF = 1e20;
+        const distances = new Float64Array(width * height);
+        for (let i = 0; i < mask.length; i++) {
+            distances[i] = mask[i] === target ? 0 : INF;
+        }
+
+        const length = Math.max(width, height);
+        const f = new Float64Array(length);
+        const d = new Float64Array(length);
+        const v = new Int32Array(length);
+        const z = new Float64Array(length + 1);
+
+        const transform1D = (count) => {
+            let k = 0;
+            v[0] = 0;
+            z[0] = -INF;
+            z[1] = INF;
+            for (let q = 1; q < count; q++) {
+                let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+                while (s <= z[k]) {
+                    k--;
+                    s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+                }
+                k++;
+                v[k] = q;
+                z[k] = s;
+                z[k + 1] = INF;
+            }
+            k = 0;
+            for (let q = 0; q < count; q++) {
+                while (z[k + 1] < q) k++;
+                d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+            }
+        };
+
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < height; y++) f[y] = distances[y * width + x];
+            transform1D(height);
+            for (let y = 0; y < height; y++) distances[y * width + x] = d[y];
+        }
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) f[x] = distances[row + x];
+            transform1D(width);
+            for (let x = 0; x < width; x++) distances[row + x] = d[x];
+        }
+
+        return distances;
+    }
+
+    // Flip 4-connected regions of the given value smaller than minArea.
+    // With keepEdgeRegions, regions touching the frame edge are left alone.
+    removeSmallComponents(mask, width, height, value, minArea, keepEdgeRegions) {
+        const output = new Uint8Array(mask);
+        const visited = new Uint8Array(mask.length);
+        const stack = new Int32Array(mask.length);
+        const region = [];
+
+        for (let start = 0; start < mask.length; start++) {
+            if (visited[start] || mask[start] !== value) continue;
+
+            let size = 0;
+            let touchesEdge = false;
+            region.length = 0;
+            stack[size++] = start;
+            visited[start] = 1;
+
+            while (size > 0) {
+                const index = stack[--size];
+                region.push(index);
+                const x = index % width;
+                const y = (index - x) / width;
+                if (x === 0 || y === 0 || x === width - 1 || y === height - 1) touchesEdge = true;
+
+                const neighbours = [
+                    x > 0 ? index - 1 : -1,
+                    x < width - 1 ? index + 1 : -1,
+                    y > 0 ? index - width : -1,
+                    y < height - 1 ? index + width : -1
+                ];
+                for (const neighbour of neighbours) {
+                    if (neighbour >= 0 && !visited[neighbour] && mask[neighbour] === value) {
+                        visited[neighbour] = 1;
+                        stack[size++] = neighbour;
+                    }
+                }
+            }
+
+            if (region.length < minArea && !(keepEdgeRegions && touchesEdge)) {
+                for (const index of region) output[index] = 1 - value;
+            }
+        }
+
+        return output;
+    }
+}
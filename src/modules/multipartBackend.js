@@ -0,0 +1,133 @@
+// Share backend that POSTs the SVG and its metadata as multipart form data.
+// Field names, auth header and the shape of the JSON response are taken from
+// the share target configuration (see shareTarget.js).
+export class MultipartBackend {
+    constructor(config = {}) {
+        this.name = config.name || 'the community gallery';
+        this.title = config.title || `Share with ${this.name}`;
+        this.pageURL = config.pageURL || ''; // Public page listing shared outlines
+        this.url = config.url;
+        this.method = config.method || 'POST';
+        this.auth = config.auth || null; // { header, token }, e.g. { header: 'Authorization', token: 'Bearer ...' }
+        this.headers = config.headers || {};
+        this.credentials = config.credentials || 'same-origin';
+        // Our field name -> the backend's field name; null leaves a field out
+        this.fields = { ...MultipartBackend.defaultFields, ...config.fields };
+        this.extraFields = config.extraFields || {}; // Sent as-is with every share
+        // Dotted paths into the JSON response; no successPath means any 2xx is a success
+        this.response = {
+            successPath: null,
+            messagePath: 'message',
+            urlPath: null,
+            ...config.response
+        };
+        this.queueable = true; // Failed shares can be retried from the outbox
+    }
+
+    static get defaultFields() {
+        return {
+            file: 'file',
+            title: 'title',
+            description: 'description',
+            camera_mode: 'camera_mode',
+            stroke_color: 'stroke_color',
+            timestamp: 'timestamp'
+        };
+    }
+
+    // e.g. getPath({ data: { url: 'x' } }, 'data.url') -> 'x'
+    static getPath(object, path) {
+        if (!path) return undefined;
+        return path.split('.').reduce((value, key) => value?.[key], object);
+    }
+
+    createFormData(share) {
+        const formData = new FormData();
+
+        if (this.fields.file) {
+            const blob = new Blob([share.svgContent], { type: 'image/svg+xml' });
+            formData.append(this.fields.file, blob, share.filename);
+        }
+
+        Object.entries(share.metadata).forEach(([key, value]) => {
+            const field = this.fields[key];
+            if (field) {
+                formData.append(field, value);
+            }
+        });
+
+        Object.entries(this.extraFields).forEach(([field, value]) => {
+            formData.append(field, value);
+        });
+
+        return formData;
+    }
+
+    createHeaders() {
+        // Don't set Content-Type - the browser adds the multipart boundary
+        const headers = { ...this.headers };
+        if (this.auth?.header && this.auth.token) {
+            headers[this.auth.header] = this.auth.token;
+        }
+        return headers;
+    }
+
+    // Resolves with { message, url, data }. Throws on failure, with
+    // error.retryable set when trying again later may help.
+    async upload(share, signal) {
+        if (!this.url) {
+            throw new Error('No share URL configured');
+        }
+
+        let response;
+        try {
+            response = await fetch(this.url, {
+                method: this.method,
+                body: this.createFormData(share),
+                headers: this.createHeaders(),
+                credentials: this.credentials,
+                signal
+            });
+        } catch (error) {
+            // Network failure (fetch rejects with a TypeError)
+            error.retryable = error.name !== 'AbortError';
+            throw error;
+        }
+
+        const data = await this.readBody(response);
+
+        if (!response.ok) {
+            const error = new Error(this.getMessage(data) || `HTTP error! status: ${response.status}`);
+            // Server trouble may pass; a rejected upload won't
+            error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            throw error;
+        }
+
+        if (this.response.successPath && !MultipartBackend.getPath(data, this.response.successPath)) {
+            throw new Error(this.getMessage(data) || 'Unknown error from server');
+        }
+
+        return {
+            message: this.getMessage(data) || '',
+            url: MultipartBackend.getPath(data, this.response.urlPath) || '',
+            data
+        };
+    }
+
+    // JSON where possible; anything else is kept as text
+    async readBody(response) {
+        const text = await response.text();
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text;
+        }
+    }
+
+    getMessage(data) {
+        const message = typeof data === 'object' ?
+            MultipartBackend.getPath(data, this.response.messagePath) :
+            '';
+        return typeof message === 'string' ? message : '';
+    }
+}
@@ -0,0 +1,14 @@
+// Registers the service worker (built from src/serviceWorker.js) that
+// precaches the app, so it starts and works with no network. Production
+// builds only: the dev server's files change with every edit.
+export function registerServiceWorker() {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) {
+        return;
+    }
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+            .then(registration => console.log('Service worker registered for', registration.scope))
+            .catch(error => console.warn('Service worker registration failed:', error));
+    });
+}
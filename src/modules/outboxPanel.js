@@ -0,0 +1,109 @@
+import { outboxToggle, outboxCount, outboxPanel, outboxList } from './domElements.js';
+
+// Indicator and list of shares waiting in the outbox, each of which can be
+// cancelled. Hidden while the outbox is empty.
+export class OutboxPanel {
+    constructor(outbox) {
+        this.outbox = outbox;
+        this.setupPanel();
+        this.outbox.onChange(() => this.render());
+        this.outbox.onSent(() => this.flash('rgba(0, 255, 0, 0.7)'));
+    }
+
+    setupPanel() {
+        outboxToggle.addEventListener('click', () => {
+            this.togglePanel();
+        });
+
+        document.getElementById('outboxRetry').addEventListener('click', () => {
+            this.outbox.retryNow();
+        });
+
+        document.getElementById('outboxClose').addEventListener('click', () => {
+            this.togglePanel(false);
+        });
+
+        window.addEventListener('offline', () => this.render());
+    }
+
+    togglePanel(show = outboxPanel.style.display !== 'flex') {
+        outboxPanel.style.display = show ? 'flex' : 'none';
+    }
+
+    flash(color) {
+        outboxToggle.style.background = color;
+        setTimeout(() => {
+            outboxToggle.style.background = 'rgba(0, 0, 0, 0.7)';
+        }, 1000);
+    }
+
+    render() {
+        const entries = this.outbox.entries;
+        outboxToggle.style.display = entries.length > 0 ? 'block' : 'none';
+        outboxToggle.classList.toggle('sending', this.outbox.sending !== null);
+        outboxCount.textContent = entries.length;
+        if (entries.length === 0) {
+            this.togglePanel(false);
+        }
+
+        const items = [...entries]
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .map(entry => {
+                const item = document.createElement('li');
+
+                const details = document.createElement('div');
+                details.className = 'outbox-details';
+
+                const label = document.createElement('span');
+                label.className = 'outbox-label';
+                label.textContent = `Outline from ${OutboxPanel.formatTime(entry.createdAt)}`;
+
+                const status = document.createElement('span');
+                status.className = 'outbox-status';
+                status.textContent = this.describeStatus(entry);
+                status.classList.toggle('failed', entry.failed === true);
+                if (entry.lastError) {
+                    status.title = entry.lastError;
+                }
+
+                details.append(label, status);
+
+                const cancel = document.createElement('button');
+                cancel.className = 'layer-button';
+                cancel.title = 'Cancel this share';
+                const symbol = document.createElement('span');
+                symbol.className = 'material-symbols-outlined';
+                symbol.textContent = 'delete';
+                cancel.appendChild(symbol);
+                cancel.addEventListener('click', () => this.outbox.cancel(entry.id));
+
+                item.append(details, cancel);
+                return item;
+            });
+
+        outboxList.replaceChildren(...items);
+    }
+
+    describeStatus(entry) {
+        if (this.outbox.isSending(entry.id)) {
+            return 'Sending...';
+        }
+        if (entry.failed) {
+            return `Not sent: ${entry.lastError}`;
+        }
+        if (!navigator.onLine) {
+            return 'Waiting for a connection';
+        }
+        if (entry.attempts === 0) {
+            return 'Waiting to send';
+        }
+
+        const tries = entry.attempts === 1 ? '1 try' : `${entry.attempts} tries`;
+        return `Failed ${tries}, next at ${OutboxPanel.formatTime(entry.nextAttemptAt)}`;
+    }
+
+    // e.g. 14:05:09
+    static formatTime(time) {
+        return new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    }
+}
@@ -0,0 +1,46 @@
+// Stroke colors offered by the random color button
+export const strokeColors = [
+    '#ff0000', // red
+    '#00ff00', // green
+    '#0000ff', // blue
+    '#ffff00', // yellow
+    '#ff00ff', // magenta
+    '#00ffff', // cyan
+    '#ff8000', // orange
+    '#8000ff', // purple
+    '#ff0080', // pink
+    '#80ff00', // lime
+    '#0080ff', // light blue
+    '#ff8080', // light red
+    '#80ff80', // light green
+    '#8080ff', // light blue
+    '#ffff80', // light yellow
+    '#ff80ff', // light magenta
+    '#80ffff', // light cyan
+    '#ffffff', // white
+];
+
+// Well separated colors for telling people apart in multi-person mode
+export const personColors = [
+    '#00ff00', // green
+    '#ff00ff', // magenta
+    '#00ffff', // cyan
+    '#ffff00', // yellow
+    '#ff8000', // orange
+    '#0080ff', // light blue
+];
+
+export function getRandomColor() {
+    return strokeColors[Math.floor(Math.random() * strokeColors.length)];
+}
+
+export function getPersonColor(personId) {
+    return personColors[(personId - 1) % personColors.length];
+}
+
+// Backgrounds offered for PNG and PDF export; null keeps it transparent
+export const backgroundColors = {
+    transparent: null,
+    black: '#000000',
+    white: '#ffffff'
+};
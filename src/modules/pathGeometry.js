@@ -0,0 +1,202 @@
+// Geometry helpers shared by the exporters: turning SVG path data back into
+// point lists, and resampling/aligning closed outlines.
+
+// Parse path data into subpaths of [x, y] points, flattening curves into
+// short line segments. Supports M, L, H, V, Q, C and Z, absolute or relative.
+export function parsePathData(pathData, curveSegments = 8) {
+    const tokens = (pathData || '').match(/[MLHVQCZmlhvqcz]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/g) || [];
+    const subpaths = [];
+    let current = null;
+    let x = 0, y = 0;
+    let startX = 0, startY = 0;
+    let command = null;
+    let i = 0;
+
+    const next = () => parseFloat(tokens[i++]);
+    const isNumber = () => i < tokens.length && !/^[A-Za-z]$/.test(tokens[i]);
+
+    while (i < tokens.length) {
+        if (/^[A-Za-z]$/.test(tokens[i])) {
+            command = tokens[i++];
+        }
+        const relative = command === command.toLowerCase();
+        const ox = relative ? x : 0;
+        const oy = relative ? y : 0;
+
+        switch (command.toUpperCase()) {
+            case 'M': {
+                x = ox + next();
+                y = oy + next();
+                startX = x;
+                startY = y;
+                current = [[x, y]];
+                subpaths.push(current);
+                // Further pairs after a move are implicit line-tos
+                command = relative ? 'l' : 'L';
+                break;
+            }
+            case 'L':
+                x = ox + next();
+                y = oy + next();
+                current.push([x, y]);
+                break;
+            case 'H':
+                x = ox + next();
+                current.push([x, y]);
+                break;
+            case 'V':
+                y = oy + next();
+                current.push([x, y]);
+                break;
+            case 'Q': {
+                const cx = ox + next(), cy = oy + next();
+                const ex = ox + next(), ey = oy + next();
+                for (let s = 1; s <= curveSegments; s++) {
+                    const t = s / curveSegments, mt = 1 - t;
+                    current.push([
+                        mt * mt * x + 2 * mt * t * cx + t * t * ex,
+                        mt * mt * y + 2 * mt * t * cy + t * t * ey
+                    ]);
+                }
+                x = ex;
+                y = ey;
+                break;
+            }
+            case 'C': {
+                const c1x = ox + next(), c1y = oy + next();
+                const c2x = ox + next(), c2y = oy + next();
+                const ex = ox + next(), ey = oy + next();
+                for (let s = 1; s <= curveSegments; s++) {
+                    const t = s / curveSegments, mt = 1 - t;
+                    current.push([
+                        mt * mt * mt * x + 3 * mt * mt * t * c1x + 3 * mt * t * t * c2x + t * t * t * ex,
+                        mt * mt * mt * y + 3 * mt * mt * t * c1y + 3 * mt * t * t * c2y + t * t * t * ey
+                    ]);
+                }
+                x = ex;
+                y = ey;
+                break;
+            }
+            case 'Z':
+                x = startX;
+                y = startY;
+                break;
+            default:
+                // Unknown command: skip its arguments
+                while (isNumber()) i++;
+        }
+
+        // Z takes no arguments; stop an unterminated command from looping
+        if (command.toUpperCase() === 'Z' && isNumber()) {
+            i++;
+        }
+    }
+
+    // Drop a closing point that repeats the start
+    return subpaths
+        .map(points => {
+            const first = points[0];
+            const last = points[points.length - 1];
+            if (points.length > 1 && Math.abs(first[0] - last[0]) < 1e-6 && Math.abs(first[1] - last[1]) < 1e-6) {
+                return points.slice(0, -1);
+            }
+            return points;
+        })
+        .filter(points => points.length > 0);
+}
+
+// Shoelace formula; positive is clockwise in screen (y-down) coordinates
+export function signedArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const [x0, y0] = points[i];
+        const [x1, y1] = points[(i + 1) % points.length];
+        area += x0 * y1 - x1 * y0;
+    }
+    return area / 2;
+}
+
+export function centroid(points) {
+    const sum = points.reduce((acc, [x, y]) => [acc[0] + x, acc[1] + y], [0, 0]);
+    return [sum[0] / points.length, sum[1] / points.length];
+}
+
+export function boundingBox(subpaths) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    subpaths.forEach(points => points.forEach(([x, y]) => {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+    }));
+    return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+}
+
+// Evenly spaced points along a closed outline, measured by arc length
+export function resampleClosed(points, count) {
+    const perimeter = [0];
+    for (let i = 1; i <= points.length; i++) {
+        const [x0, y0] = points[i - 1];
+        const [x1, y1] = points[i % points.length];
+        perimeter.push(perimeter[i - 1] + Math.hypot(x1 - x0, y1 - y0));
+    }
+
+    const total = perimeter[points.length];
+    if (total === 0) {
+        return Array.from({ length: count }, () => [points[0][0], points[0][1]]);
+    }
+
+    const resampled = [];
+    let segment = 0;
+    for (let i = 0; i < count; i++) {
+        const distance = (i / count) * total;
+        while (perimeter[segment + 1] < distance) {
+            segment++;
+        }
+
+        const [x0, y0] = points[segment];
+        const [x1, y1] = points[(segment + 1) % points.length];
+        const length = perimeter[segment + 1] - perimeter[segment];
+        const t = length > 0 ? (distance - perimeter[segment]) / length : 0;
+        resampled.push([x0 + (x1 - x0) * t, y0 + (y1 - y0) * t]);
+    }
+
+    return resampled;
+}
+
+// Rotate (and if the winding differs, reverse) equally sized closed outlines
+// so that point i lines up with point i of the reference
+export function alignClosed(points, reference) {
+    let ordered = points;
+    if (Math.sign(signedArea(points)) !== Math.sign(signedArea(reference))) {
+        ordered = [...points].reverse();
+    }
+
+    const count = ordered.length;
+    let bestShift = 0;
+    let bestCost = Infinity;
+
+    for (let shift = 0; shift < count; shift++) {
+        let cost = 0;
+        for (let i = 0; i < count && cost < bestCost; i++) {
+            const [x, y] = ordered[(i + shift) % count];
+            const [px, py] = reference[i];
+            cost += (x - px) * (x - px) + (y - py) * (y - py);
+        }
+        if (cost < bestCost) {
+            bestCost = cost;
+            bestShift = shift;
+        }
+    }
+
+    return ordered.map((_, i) => ordered[(i + bestShift) % count]);
+}
+
+// Straight-line path data for closed subpaths
+export function pointsToPathData(subpaths) {
+    const f = (value) => Math.round(value * 100) / 100;
+    return subpaths
+        .filter(points => points.length > 0)
+        .map(points => `M ${points.map(([x, y]) => `${f(x)} ${f(y)}`).join(' L ')} Z`)
+        .join(' ');
+}
@@ -0,0 +1,77 @@
+import { PDFDocument, POINTS_PER_MM } from './pdfWriter.js';
+import { PlotterExporter } from './plotterExporter.js';
+
+// Printable single-page PDF of the outline, drawn as vector strokes.
+// Placement on the paper is shared with the plotter export; the SVG's
+// drop-shadow glow is approximated by wide translucent strokes underneath.
+export class PDFExporter {
+    static generatePDF({
+        width,
+        pathData,
+        layers = null,
+        strokeColor = '#00ff00',
+        shouldMirror = false,
+        timestamp = new Date().toISOString()
+    }, {
+        paperSize = 'A4',
+        margin = 10,
+        background = null // Page fill color; none leaves the paper blank
+    } = {}) {
+        const layout = PlotterExporter.layoutOnPaper(
+            { width, pathData, layers, shouldMirror },
+            { paperSize, margin, scaleToFit: true }
+        );
+
+        if (layout.layers.length === 0) {
+            return null;
+        }
+
+        const pdf = new PDFDocument({ title: `Body Chalk Outline ${timestamp}` });
+        const content = PDFExporter.drawOutlines(pdf, layout, { strokeColor, background });
+
+        pdf.addPage(layout.paper.width * POINTS_PER_MM, layout.paper.height * POINTS_PER_MM, content);
+        return pdf.toBlob();
+    }
+
+    // PDF operators drawing a laid-out page, in points
+    static drawOutlines(pdf, layout, { strokeColor = '#00ff00', background = null } = {}) {
+        const point = (value) => (value * POINTS_PER_MM).toFixed(2);
+        // Same 3px stroke and 5px glow as the SVG, scaled to paper
+        const strokeWidth = Math.max(3 * layout.scale, 0.2);
+        const glowWidth = 5 * layout.scale;
+        const operators = [];
+
+        if (background) {
+            operators.push(
+                `${PDFDocument.rgb(background)} rg`,
+                `0 0 ${point(layout.paper.width)} ${point(layout.paper.height)} re f`
+            );
+        }
+
+        operators.push('1 J 1 j'); // Round caps and joins
+
+        layout.layers.forEach(layer => {
+            const color = PDFDocument.rgb(layer.strokeColor || strokeColor);
+            const path = layer.polylines.map(points => points
+                .map(([x, y], index) => `${point(x)} ${point(y)} ${index === 0 ? 'm' : 'l'}`)
+                .join('\n') + '\nh').join('\n');
+
+            // Glow: widest and faintest first
+            [3, 2, 1].forEach(step => {
+                operators.push(
+                    'q',
+                    `${pdf.alpha(0.12)} gs`,
+                    `${color} RG`,
+                    `${point(strokeWidth + glowWidth * step * 0.8)} w`,
+                    path,
+                    'S',
+                    'Q'
+                );
+            });
+
+            operators.push(`${color} RG`, `${point(strokeWidth)} w`, path, 'S');
+        });
+
+        return operators.join('\n');
+    }
+}
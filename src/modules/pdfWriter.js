@@ -0,0 +1,94 @@
+// Minimal PDF 1.4 writer for vector line art.
+// Pages are drawn with raw content stream operators (coordinates in points,
+// origin bottom-left). Every page shares one resource dictionary holding the
+// Helvetica font (/F1) and any opacity states requested through alpha().
+export const POINTS_PER_MM = 72 / 25.4;
+
+export class PDFDocument {
+    constructor({ title = 'bodychalk', creator = 'bodychalk app' } = {}) {
+        this.title = title;
+        this.creator = creator;
+        this.pages = [];
+        this.opacities = new Map(); // opacity -> graphics state name
+    }
+
+    // Page size in points; content is a string of PDF operators
+    addPage(width, height, content) {
+        this.pages.push({ width, height, content });
+    }
+
+    // Name of a graphics state with the given stroke and fill opacity, for use with "gs"
+    alpha(value) {
+        const opacity = Math.min(Math.max(value, 0), 1).toFixed(3);
+        if (!this.opacities.has(opacity)) {
+            this.opacities.set(opacity, `GS${this.opacities.size + 1}`);
+        }
+        return `/${this.opacities.get(opacity)}`;
+    }
+
+    // "r g b" operands (0-1) for a #rgb or #rrggbb color
+    static rgb(color, fallback = [0, 1, 0]) {
+        const hex = String(color || '').trim().replace(/^#/, '');
+        const full = hex.length === 3 ? hex.split('').map(digit => digit + digit).join('') : hex;
+
+        const channels = /^[0-9a-f]{6}$/i.test(full) ?
+            [0, 2, 4].map(offset => parseInt(full.slice(offset, offset + 2), 16) / 255) :
+            fallback;
+        return channels.map(channel => channel.toFixed(3)).join(' ');
+    }
+
+    // Text string literal with PDF escapes; non-ASCII characters are dropped
+    static text(value) {
+        return `(${String(value).replace(/[^\x20-\x7e]/g, '').replace(/([\\()])/g, '\\$1')})`;
+    }
+
+    toBlob() {
+        return new Blob([this.output()], { type: 'application/pdf' });
+    }
+
+    output() {
+        // Object numbers: 1 catalog, 2 page tree, 3 info, 4 font, then a page and a content stream per page
+        const objects = [];
+        const pageIds = this.pages.map((_, index) => 5 + index * 2);
+
+        const opacityStates = [...this.opacities.entries()]
+            .map(([opacity, name]) => `/${name} << /Type /ExtGState /CA ${opacity} /ca ${opacity} >>`)
+            .join(' ');
+        const resources = `<< /Font << /F1 4 0 R >> /ExtGState << ${opacityStates} >> >>`;
+
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+        objects[3] = `<< /Title ${PDFDocument.text(this.title)} /Creator ${PDFDocument.text(this.creator)} /CreationDate ${PDFDocument.text(PDFDocument.date(new Date()))} >>`;
+        objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+
+        this.pages.forEach((page, index) => {
+            const pageId = pageIds[index];
+            const width = page.width.toFixed(2);
+            const height = page.height.toFixed(2);
+            objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources ${resources} /Contents ${pageId + 1} 0 R >>`;
+            objects[pageId + 1] = `<< /Length ${page.content.length} >>\nstream\n${page.content}\nendstream`;
+        });
+
+        // Content is ASCII only, so string length equals byte length for the xref offsets
+        let pdf = '%PDF-1.4\n';
+        const offsets = [];
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = pdf.length;
+            pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+        }
+
+        const xrefOffset = pdf.length;
+        pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id++) {
+            pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        return pdf;
+    }
+
+    // PDF date string, e.g. D:20240131120000Z
+    static date(date) {
+        return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+    }
+}
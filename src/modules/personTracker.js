@@ -0,0 +1,78 @@
+// Keeps a stable id for each person across frames.
+// MediaPipe returns poses in no particular order, so each frame's detections
+// are matched to the known people by nearest centroid.
+export class PersonTracker {
+    constructor(options = {}) {
+        this.maxDistance = options.maxDistance || 200; // Max centroid jump (px) between frames
+        this.maxMissedFrames = options.maxMissedFrames || 30; // Frames before a person is forgotten
+        this.tracks = [];
+    }
+
+    // Takes detections as [{ centroid: [x, y] }] and returns the person id for
+    // each detection (same order), plus the ids forgotten this frame
+    update(detections) {
+        const ids = new Array(detections.length).fill(null);
+        const matchedTracks = new Set();
+
+        // Greedy matching, closest pairs first
+        const pairs = [];
+        detections.forEach((detection, detectionIndex) => {
+            this.tracks.forEach((track, trackIndex) => {
+                const distance = Math.hypot(
+                    detection.centroid[0] - track.centroid[0],
+                    detection.centroid[1] - track.centroid[1]
+                );
+                if (distance <= this.maxDistance) {
+                    pairs.push({ detectionIndex, trackIndex, distance });
+                }
+            });
+        });
+        pairs.sort((a, b) => a.distance - b.distance);
+
+        for (const { detectionIndex, trackIndex } of pairs) {
+            if (ids[detectionIndex] !== null || matchedTracks.has(trackIndex)) continue;
+
+            const track = this.tracks[trackIndex];
+            track.centroid = detections[detectionIndex].centroid;
+            track.missedFrames = 0;
+            ids[detectionIndex] = track.id;
+            matchedTracks.add(trackIndex);
+        }
+
+        // Unmatched tracks age; unmatched detections become new people
+        this.tracks.forEach((track, trackIndex) => {
+            if (!matchedTracks.has(trackIndex)) track.missedFrames++;
+        });
+
+        detections.forEach((detection, detectionIndex) => {
+            if (ids[detectionIndex] !== null) return;
+
+            const track = {
+                id: this.allocateId(),
+                centroid: detection.centroid,
+                missedFrames: 0
+            };
+            this.tracks.push(track);
+            ids[detectionIndex] = track.id;
+        });
+
+        const removedIds = this.tracks
+            .filter(track => track.missedFrames > this.maxMissedFrames)
+            .map(track => track.id);
+        this.tracks = this.tracks.filter(track => track.missedFrames <= this.maxMissedFrames);
+
+        return { ids, removedIds };
+    }
+
+    // Reuse the lowest free id so colors stay predictable in small groups
+    allocateId() {
+        const used = new Set(this.tracks.map(track => track.id));
+        let id = 1;
+        while (used.has(id)) id++;
+        return id;
+    }
+
+    reset() {
+        this.tracks = [];
+    }
+}
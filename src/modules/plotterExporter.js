@@ -0,0 +1,164 @@
+import { parsePathData, boundingBox } from './pathGeometry.js';
+
+// Paper sizes in millimetres (portrait)
+export const PAPER_SIZES = {
+    A5: { width: 148, height: 210 },
+    A4: { width: 210, height: 297 },
+    A3: { width: 297, height: 420 },
+    Letter: { width: 215.9, height: 279.4 },
+    Tabloid: { width: 279.4, height: 431.8 }
+};
+
+// Pen-plotter output (G-code and HPGL) for AxiDraw-style machines.
+// Outlines are mirrored like the on-screen view, placed on the paper with
+// margins, and each layer's strokes are ordered to keep pen-up travel short.
+export class PlotterExporter {
+    static defaultOptions = {
+        paperSize: 'A4',
+        margin: 10, // mm on every side
+        scaleToFit: true, // Fill the printable area; otherwise use millimetresPerPixel
+        millimetresPerPixel: 0.5,
+        feedRate: 1500, // mm/min while drawing
+        travelRate: 3000, // mm/min with the pen up
+        penUpCommand: 'G0 Z5',
+        penDownCommand: 'G1 Z0 F500',
+        curveSegments: 8
+    };
+
+    // Polylines in paper millimetres (origin bottom-left, y up), one list per layer.
+    // Also used to place outlines on PDF pages.
+    static layoutOnPaper({ width, pathData, layers = null, shouldMirror = false }, options = {}) {
+        const settings = { ...PlotterExporter.defaultOptions, ...options };
+        const sourceLayers = layers || [{ id: 'outline', pathData }];
+
+        // Same mirroring as the on-screen group transform
+        const layerPolylines = sourceLayers.map(layer => parsePathData(layer.pathData, settings.curveSegments)
+            .filter(points => points.length > 1)
+            .map(points => points.map(([x, y]) => [shouldMirror ? width - x : x, y])));
+
+        const portrait = PAPER_SIZES[settings.paperSize] || PAPER_SIZES.A4;
+        const allPolylines = layerPolylines.flat();
+        if (allPolylines.length === 0) {
+            return { paper: { ...portrait }, scale: 0, layers: [] };
+        }
+
+        // Turn the paper to match the drawing's orientation
+        const bounds = boundingBox(allPolylines);
+        const landscapeDrawing = bounds.width > bounds.height;
+        const paper = landscapeDrawing ?
+            { width: portrait.height, height: portrait.width } :
+            { ...portrait };
+
+        const printableWidth = paper.width - settings.margin * 2;
+        const printableHeight = paper.height - settings.margin * 2;
+        const scale = settings.scaleToFit ?
+            Math.min(printableWidth / Math.max(bounds.width, 1e-6), printableHeight / Math.max(bounds.height, 1e-6)) :
+            settings.millimetresPerPixel;
+
+        // Centre in the printable area, flipping to the plotter's y-up axis
+        const offsetX = settings.margin + (printableWidth - bounds.width * scale) / 2;
+        const offsetY = settings.margin + (printableHeight - bounds.height * scale) / 2;
+
+        return {
+            paper,
+            scale, // mm per source pixel
+            layers: layerPolylines.map((polylines, index) => ({
+                id: sourceLayers[index].id,
+                strokeColor: sourceLayers[index].strokeColor,
+                polylines: polylines.map(points => points.map(([x, y]) => [
+                    offsetX + (x - bounds.minX) * scale,
+                    offsetY + (bounds.maxY - y) * scale
+                ]))
+            }))
+        };
+    }
+
+    // Greedy nearest-neighbour ordering. Outlines are closed, so each one
+    // can start at whichever vertex is closest to the pen.
+    static optimizeTravel(polylines, start = [0, 0]) {
+        const remaining = [...polylines];
+        const ordered = [];
+        let position = start;
+
+        while (remaining.length > 0) {
+            let best = { index: 0, vertex: 0, distance: Infinity };
+
+            remaining.forEach((points, index) => {
+                points.forEach(([x, y], vertex) => {
+                    const distance = (x - position[0]) ** 2 + (y - position[1]) ** 2;
+                    if (distance < best.distance) {
+                        best = { index, vertex, distance };
+                    }
+                });
+            });
+
+            const [points] = remaining.splice(best.index, 1);
+            const rotated = [...points.slice(best.vertex), ...points.slice(0, best.vertex)];
+            ordered.push(rotated);
+            position = rotated[0]; // Closed: the pen ends where it started
+        }
+
+        return ordered;
+    }
+
+    static generateGCode(data, options = {}) {
+        const settings = { ...PlotterExporter.defaultOptions, ...options };
+        const { paper, layers } = PlotterExporter.layoutOnPaper(data, settings);
+        const f = (value) => value.toFixed(3);
+
+        const lines = [
+            '; bodychalk pen plotter output',
+            `; Paper ${f(paper.width)} x ${f(paper.height)} mm, margin ${settings.margin} mm`,
+            'G21 ; millimetres',
+            'G90 ; absolute positioning',
+            settings.penUpCommand
+        ];
+
+        let position = [0, 0];
+        layers.forEach(layer => {
+            lines.push(`; Layer ${layer.id}`);
+            PlotterExporter.optimizeTravel(layer.polylines, position).forEach(points => {
+                const [startX, startY] = points[0];
+                lines.push(`G0 X${f(startX)} Y${f(startY)} F${settings.travelRate}`);
+                lines.push(settings.penDownCommand);
+                points.slice(1).concat([points[0]]).forEach(([x, y]) => {
+                    lines.push(`G1 X${f(x)} Y${f(y)} F${settings.feedRate}`);
+                });
+                lines.push(settings.penUpCommand);
+                position = points[0];
+            });
+        });
+
+        lines.push('G0 X0 Y0 ; park');
+        return lines.join('\n') + '\n';
+    }
+
+    // HPGL uses 40 plotter units per millimetre; each layer gets its own pen
+    static generateHPGL(data, options = {}) {
+        const settings = { ...PlotterExporter.defaultOptions, ...options };
+        const { layers } = PlotterExporter.layoutOnPaper(data, settings);
+        const units = (value) => Math.round(value * 40);
+        // HPGL sets speed in cm/s
+        const velocity = Math.max(1, Math.round(settings.feedRate / 600));
+
+        const commands = ['IN', `VS${velocity}`];
+
+        let position = [0, 0];
+        layers.forEach((layer, index) => {
+            commands.push(`SP${(index % 8) + 1}`);
+            PlotterExporter.optimizeTravel(layer.polylines, position).forEach(points => {
+                const [startX, startY] = points[0];
+                commands.push(`PU${units(startX)},${units(startY)}`);
+                const path = points.slice(1).concat([points[0]])
+                    .map(([x, y]) => `${units(x)},${units(y)}`)
+                    .join(',');
+                commands.push(`PD${path}`);
+                position = points[0];
+            });
+            commands.push('PU');
+        });
+
+        commands.push('PU0,0', 'SP0');
+        return commands.join(';\n') + ';\n';
+    }
+}
@@ -0,0 +1,345 @@
+import { ContourTracer } from './contour.js';
+import { TemporalSmoother } from './temporalSmoother.js';
+import { PersonTracker } from './personTracker.js';
+import { MaskRefiner } from './maskRefiner.js';
+import { toPixelLandmarks } from './bodyMeasurement.js';
+import { PoseLandmarker, FilesetResolver } from '@mediapipe/tasks-vision';
+
+// Segmentation and tracing, from video frame to SVG path data.
+// Has no DOM access so it can run either in the pose worker or on the main
+// thread; PoseProcessor takes care of drawing the results.
+export class PosePipeline {
+    constructor(options = {}) {
+        this.numPoses = options.numPoses || 1;
+        this.modelAssetPath = options.modelAssetPath || './models/pose_landmarker_lite.task';
+        this.wasmPath = options.wasmPath || './mediapipe/wasm'; // Copied from node_modules, see vite-plugin-offline.js
+        this.poseLandmarker = null;
+        this.runningMode = 'VIDEO'; // 'VIDEO' for camera and video files, 'IMAGE' for photos
+        this.runningModeChange = null;
+        this.personTracker = new PersonTracker();
+        this.smoothers = new Map(); // Person id -> TemporalSmoother
+        this.inputScale = 1; // Frames are scaled down by this before detection, see FrameGovernor
+        this.configure(options.settings || {});
+    }
+
+    // Tracing settings (see settings.js); applies from the next frame
+    configure(settings = {}) {
+        this.settings = settings;
+        this.threshold = settings.threshold ?? 0.5; // Mask probability counted as person
+        this.fallbackThreshold = settings.fallbackThreshold ?? 0.1; // Used when nothing reaches the threshold
+        this.createTracers();
+        this.smoothing = {
+            method: settings.smoothing || 'oneEuro', // Steady when still, responsive when moving
+            minCutoff: settings.minCutoff ?? 1.0,
+            beta: settings.beta ?? 0.05
+        };
+
+        // Smoothers restart with the new settings
+        this.smoothers.clear();
+    }
+
+    // Pixel sizes in the settings are for full-resolution frames, so they're
+    // scaled to match masks traced at a lower input scale
+    createTracers() {
+        const settings = this.settings;
+        const scaled = (value, power = 1) => typeof value === 'number' ? value * this.inputScale ** power : value;
+
+        this.contourTracer = new ContourTracer({
+            threshold: this.threshold,
+            curveType: settings.curveType || 'quadratic',
+            maxError: settings.maxError,
+            tracingMode: settings.tracingMode || 'marchingSquares', // Sub-pixel outline from the raw probability mask
+            isoLevel: this.threshold,
+            minContourLength: scaled(settings.minContourLength),
+            simplifyTolerance: scaled(settings.simplifyTolerance),
+            removeDuplicates: settings.removeDuplicates,
+            overlapThreshold: settings.overlapThreshold
+        });
+        this.maskRefiner = new MaskRefiner({
+            blurRadius: scaled(settings.blurRadius),
+            openRadius: scaled(settings.openRadius),
+            closeRadius: scaled(settings.closeRadius),
+            minIslandArea: scaled(settings.minIslandArea, 2),
+            maxHoleArea: scaled(settings.maxHoleArea, 2),
+            offset: scaled(settings.offset)
+        });
+    }
+
+    // Outlines and landmarks are scaled back up, so they stay in frame pixels
+    // and the smoothing carries on across a change
+    setInputScale(scale) {
+        if (scale === this.inputScale) {
+            return;
+        }
+        this.inputScale = scale;
+        this.createTracers();
+    }
+
+    async initialize() {
+        // Create vision instance
+        const vision = await FilesetResolver.forVisionTasks(this.wasmPath);
+
+        // Create pose landmarker with segmentation enabled
+        this.poseLandmarker = await PoseLandmarker.createFromOptions(vision, {
+            baseOptions: {
+                modelAssetPath: this.modelAssetPath
+            },
+            runningMode: this.runningMode,
+            numPoses: this.numPoses,
+            minPoseDetectionConfidence: 0.5,
+            minPosePresenceConfidence: 0.5,
+            minTrackingConfidence: 0.5,
+            outputSegmentationMasks: true
+        });
+
+        return this.poseLandmarker;
+    }
+
+    // Photos are analysed independently; video frames build on the ones before.
+    // Rejects if MediaPipe can't switch, leaving the previous mode in place.
+    setRunningMode(runningMode) {
+        if (runningMode === this.runningMode) {
+            return this.runningModeChange;
+        }
+
+        const previousMode = this.runningMode;
+        this.runningMode = runningMode;
+        this.reset();
+        if (this.poseLandmarker) {
+            const change = this.poseLandmarker.setOptions({ runningMode })
+                .catch(error => {
+                    this.runningMode = previousMode;
+                    throw error;
+                })
+                .finally(() => {
+                    if (this.runningModeChange === change) {
+                        this.runningModeChange = null;
+                    }
+                });
+            this.runningModeChange = change;
+        }
+        return this.runningModeChange;
+    }
+
+    // Returns { people: [{ id, pathData, landmarks }], removedIds, hasSegmentation,
+    // timing: { inference, tracing } } with times in ms
+    async processFrame(frame, timestamp = performance.now()) {
+        if (!this.poseLandmarker) {
+            return { people: [], removedIds: [], hasSegmentation: false };
+        }
+
+        // Frames queued behind a mode switch wait for it. A failed switch is
+        // reported to whoever asked for it; frames carry on in the old mode.
+        if (this.runningModeChange) {
+            await this.runningModeChange.catch(() => {});
+        }
+
+        // Create ImageBitmap from VideoFrame for efficient processing
+        const scale = this.inputScale;
+        const bitmap = await createImageBitmap(frame, scale < 1 ? {
+            resizeWidth: Math.round(frame.displayWidth * scale),
+            resizeHeight: Math.round(frame.displayHeight * scale),
+            resizeQuality: 'low'
+        } : undefined);
+
+        try {
+            const inferenceStart = performance.now();
+            let results;
+            if (this.runningMode === 'IMAGE') {
+                // Nothing to smooth or track between separate detections of a photo
+                this.reset();
+                results = this.poseLandmarker.detect(bitmap);
+            } else {
+                results = this.poseLandmarker.detectForVideo(bitmap, timestamp);
+            }
+
+            const tracingStart = performance.now();
+            const result = this.processResults(results, timestamp, scale);
+            result.timing = {
+                inference: tracingStart - inferenceStart,
+                tracing: performance.now() - tracingStart
+            };
+            return result;
+        } finally {
+            bitmap.close();
+        }
+    }
+
+    // scale: the input scale the results were detected at
+    processResults(results, timestamp, scale = 1) {
+        if (!results.segmentationMasks || results.segmentationMasks.length === 0) {
+            this.smoothers.forEach(smoother => smoother.reset());
+            return { people: [], removedIds: [], hasSegmentation: false };
+        }
+
+        // Match this frame's poses to the people seen before
+        const masks = results.segmentationMasks;
+        const detections = masks.map((mask, index) => ({
+            centroid: this.estimatePersonCentroid(results.landmarks?.[index], mask).map(value => value / scale)
+        }));
+        const { ids, removedIds } = this.personTracker.update(detections);
+
+        const people = masks.map((mask, index) => ({
+            id: ids[index],
+            pathData: this.traceMask(mask, ids[index], timestamp, scale),
+            landmarks: toPixelLandmarks(results.landmarks?.[index], mask.width / scale, mask.height / scale)
+        }));
+
+        // Anyone missing from this frame starts from scratch when they return
+        this.smoothers.forEach((smoother, personId) => {
+            if (!ids.includes(personId)) smoother.reset();
+        });
+        removedIds.forEach(personId => this.smoothers.delete(personId));
+
+        return { people, removedIds, hasSegmentation: true };
+    }
+
+    // Landmarks are normalized to 0-1; the mask shares the frame's dimensions
+    estimatePersonCentroid(landmarks, segmentationMask) {
+        const width = segmentationMask.width;
+        const height = segmentationMask.height;
+
+        if (landmarks && landmarks.length > 0) {
+            const sum = landmarks.reduce((acc, landmark) => [acc[0] + landmark.x, acc[1] + landmark.y], [0, 0]);
+            return [sum[0] / landmarks.length * width, sum[1] / landmarks.length * height];
+        }
+
+        // Fall back to the center of the mask
+        const maskData = segmentationMask.g?.[0];
+        let sumX = 0, sumY = 0, count = 0;
+        if (maskData) {
+            for (let i = 0; i < maskData.length; i++) {
+                if (maskData[i] > 0.5) {
+                    sumX += i % width;
+                    sumY += Math.floor(i / width);
+                    count++;
+                }
+            }
+        }
+        return count > 0 ? [sumX / count, sumY / count] : [width / 2, height / 2];
+    }
+
+    // Trace one person's mask into stabilized path data ('' if nothing found)
+    traceMask(segmentationMask, personId, timestamp, scale = 1) {
+        try {
+            const width = segmentationMask.width;
+            const height = segmentationMask.height;
+
+            // MediaPipe segmentation masks store data in the 'g' property as Float32Array
+            if (!segmentationMask.g || segmentationMask.g.length === 0) {
+                return '';
+            }
+            const rawMaskData = segmentationMask.g[0]; // First (and likely only) array
+
+            // Optional clean-up (blur, morphology, offset) at the level the outline is traced at
+            const level = this.findMaskLevel(rawMaskData, width, height);
+            if (level === null) {
+                return '';
+            }
+            const maskData = this.maskRefiner.refine(rawMaskData, width, height, level);
+
+            const segmentation = this.contourTracer.tracingMode === 'marchingSquares' ?
+                this.createSubpixelSegmentation(maskData, width, height) :
+                this.createBinarySegmentation(maskData, width, height);
+
+            // Only proceed if we found person pixels
+            if (!segmentation) {
+                return '';
+            }
+
+            const contours = this.contourTracer.extractContours(segmentation);
+            const frameContours = scale === 1 ? contours :
+                contours.map(contour => contour.map(([x, y]) => [x / scale, y / scale]));
+            return this.contoursToPath(frameContours, personId, timestamp);
+        } catch (error) {
+            console.error('Body outline error:', error);
+            return '';
+        }
+    }
+
+    createBinarySegmentation(maskData, width, height) {
+        const binaryMask = new Array(width * height);
+        let personPixelCount = 0;
+
+        // Convert Float32Array to binary mask
+        // MediaPipe segmentation values are typically 0.0 to 1.0
+        for (let i = 0; i < maskData.length && i < width * height; i++) {
+            const value = maskData[i];
+            binaryMask[i] = value > this.threshold ? 1 : 0;
+            if (binaryMask[i] === 1) personPixelCount++;
+        }
+
+        // If no pixels reach the threshold, try the lower fallback
+        if (personPixelCount === 0) {
+            for (let i = 0; i < maskData.length && i < width * height; i++) {
+                const value = maskData[i];
+                binaryMask[i] = value > this.fallbackThreshold ? 1 : 0;
+                if (binaryMask[i] === 1) personPixelCount++;
+            }
+        }
+
+        if (personPixelCount === 0) {
+            return null;
+        }
+
+        // Create segmentation object compatible with ContourTracer
+        return {
+            width: width,
+            height: height,
+            data: binaryMask
+        };
+    }
+
+    // The threshold, or the fallback when nothing reaches it; null if neither does
+    findMaskLevel(maskData, width, height) {
+        let maxValue = 0;
+        for (let i = 0; i < maskData.length && i < width * height; i++) {
+            if (maskData[i] > maxValue) maxValue = maskData[i];
+        }
+
+        if (maxValue > this.threshold) return this.threshold;
+        if (maxValue > this.fallbackThreshold) return this.fallbackThreshold;
+        return null;
+    }
+
+    createSubpixelSegmentation(maskData, width, height) {
+        // Same thresholds as the binary mask, falling back when nothing reaches the first
+        const isoLevel = this.findMaskLevel(maskData, width, height);
+        if (isoLevel === null) {
+            return null;
+        }
+
+        return {
+            width: width,
+            height: height,
+            data: maskData,
+            isoLevel: isoLevel
+        };
+    }
+
+    contoursToPath(contours, personId, timestamp) {
+        if (!this.smoothers.has(personId)) {
+            this.smoothers.set(personId, new TemporalSmoother({
+                pointCount: 200,
+                ...this.smoothing
+            }));
+        }
+
+        // Stabilize against the previous frame before converting to a path
+        const stabilized = this.smoothers.get(personId).smooth(contours, timestamp);
+        return this.contourTracer.contoursToSVGPath(stabilized);
+    }
+
+    reset() {
+        this.smoothers.clear();
+        this.personTracker.reset();
+    }
+
+    close() {
+        this.reset();
+        if (this.poseLandmarker) {
+            this.poseLandmarker.close();
+            this.poseLandmarker = null;
+        }
+    }
+}
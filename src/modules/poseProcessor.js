@@ -1,25 +1,56 @@
-import { debugElement, bodyPath } from './domElements.js';
-import { ContourTracer } from './contour.js';
-import { PoseLandmarker, FilesetResolver } from '@mediapipe/tasks-vision';
+import { debugElement, bodyGroup, bodyPath, svgElement, trackingStatus, trackingLabel } from './domElements.js';
+import { PosePipeline } from './posePipeline.js';
+import { getPersonColor } from './palette.js';
+import { measureBodyHeight } from './bodyMeasurement.js';
+import { SkeletonOverlay } from './skeleton.js';
+import { TrackingState, TRACKING, LOST, GONE } from './trackingState.js';
+import { FrameGovernor } from './frameGovernor.js';
+
+const SINGLE_PERSON = 1; // Person id used for everyone in single-person mode
 
 export class PoseProcessor {
-    constructor() {
-        this.poseLandmarker = null;
+    constructor(options = {}) {
+        this.numPoses = options.numPoses || 1; // More than one traces each person separately
+        this.useWorker = options.useWorker !== false && PoseProcessor.canUseWorker();
         this.debugElement = debugElement;
-        this.contourTracer = new ContourTracer({
-            curveType: 'quadratic',
-            curveTension: 0.5
-        });
+        this.pipelineOptions = {
+            numPoses: this.numPoses,
+            settings: options.settings || {}, // Tracing settings, see settings.js
+            // Resolved here: a worker would otherwise resolve them against its own script URL
+            modelAssetPath: new URL('./models/pose_landmarker_lite.task', document.baseURI).href,
+            wasmPath: new URL('./mediapipe/wasm', document.baseURI).href
+        };
+
+        // Either a worker running the pipeline, or the pipeline itself in-thread
+        this.worker = null;
+        this.pipeline = null;
+        this.pendingResult = null;
+
+        this.personPaths = new Map(); // Person id -> path element (multi-person mode)
+        this.bodyPathOwner = null; // Person id last drawn into #bodyPath (single-person mode)
+        this.landmarks = new Map(); // Person id -> latest pixel landmarks, read by snapshots
+        this.skeleton = new SkeletonOverlay(bodyGroup);
+        this.tracking = new TrackingState();
+        this.governor = new FrameGovernor(); // Paces camera frames, see CameraManager.getFrameStream
+        this.inputScale = 1;
+        this.forgottenPeople = new Set(); // Dropped by the pipeline, removed once faded out
+        this.landmarkListeners = [];
+        this.trackingListeners = [];
+        this.applyDisplaySettings(this.pipelineOptions.settings);
         this.hasReceivedFirstSegmentation = false;
         this.frameProcessingCount = 0;
         this.modelPreloaded = false;
         this.modelPreloadPromise = null;
-        this.lastVideoTime = -1;
         this.isProcessing = false;
+        this.width = 640;
+        this.height = 480;
+    }
 
-        // Create OffscreenCanvas for mask processing
-        this.maskCanvas = new OffscreenCanvas(640, 480);
-        this.maskCtx = this.maskCanvas.getContext('2d', { willReadFrequently: true });
+    // The worker needs OffscreenCanvas for MediaPipe and transferable VideoFrames
+    static canUseWorker() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof VideoFrame !== 'undefined';
     }
 
     updateDebug(message) {
@@ -30,8 +61,120 @@ export class PoseProcessor {
     }
 
     setDimensions(width, height) {
-        this.maskCanvas.width = width;
-        this.maskCanvas.height = height;
+        this.width = width;
+        this.height = height;
+    }
+
+    // Pass new tracing settings to the pipeline, wherever it runs. Without
+    // retrace only the display settings changed, and the pipeline (with its
+    // smoothing) is left as it is.
+    configure(settings, { retrace = true } = {}) {
+        this.pipelineOptions.settings = settings;
+        this.applyDisplaySettings(settings);
+
+        if (!retrace) {
+            return;
+        }
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'configure', settings });
+        } else if (this.pipeline) {
+            this.pipeline.configure(settings);
+        }
+    }
+
+    // Silhouette, skeleton or both. Kept on the SVG element, where CSS hides
+    // the silhouette and snapshots pick it up for export. Tracking-loss and
+    // frame pacing settings are also handled here, not by the pipeline.
+    applyDisplaySettings({ outlineStyle = 'silhouette', landmarkVisibility = 0.5, gracePeriod, fadeDuration, latencyBudget, adaptiveResolution }) {
+        if (svgElement) {
+            svgElement.dataset.outlineStyle = outlineStyle;
+            svgElement.dataset.landmarkVisibility = landmarkVisibility;
+        }
+        this.skeleton.configure({
+            enabled: outlineStyle !== 'silhouette',
+            threshold: landmarkVisibility
+        });
+        this.tracking.configure({ gracePeriod, fadeDuration });
+        this.configureGovernor({ latencyBudget, adaptiveResolution });
+    }
+
+    // Latency budget and whether the mask resolution may be lowered to keep to it
+    configureGovernor({ latencyBudget, adaptiveResolution }) {
+        this.governor.configure({ latencyBudget, adaptiveResolution });
+        this.applyInputScale();
+    }
+
+    // Passes the governor's resolution on to the pipeline when it changes
+    applyInputScale() {
+        const scale = this.governor.resolutionScale;
+        if (scale === this.inputScale) {
+            return;
+        }
+
+        this.inputScale = scale;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'inputScale', scale });
+        } else if (this.pipeline) {
+            this.pipeline.setInputScale(scale);
+        }
+    }
+
+    // listener(people) with each frame's [{ id, landmarks }], e.g. for gestures
+    onLandmarks(listener) {
+        this.landmarkListeners.push(listener);
+    }
+
+    // listener(state, confidence) after each frame; state is 'tracking' if
+    // anyone is tracked, 'lost' while an outline is held or fading, else 'gone'
+    onTracking(listener) {
+        this.trackingListeners.push(listener);
+    }
+
+    notifyTracking() {
+        const { state, confidence } = this.tracking.summary();
+
+        // Exposed for styling, and shown in the debug overlay
+        if (svgElement) {
+            svgElement.dataset.tracking = state;
+        }
+        if (this.debugElement) {
+            this.debugElement.dataset.tracking = `Tracking: ${state} (${Math.round(confidence * 100)}%)`;
+        }
+        this.showTrackingStatus(state, confidence);
+
+        this.trackingListeners.forEach(listener => listener(state, confidence));
+    }
+
+    showTrackingStatus(state, confidence) {
+        if (!trackingStatus) return;
+
+        const labels = {
+            [TRACKING]: `Tracking ${Math.round(confidence * 100)}%`,
+            [LOST]: 'Lost - holding outline',
+            [GONE]: 'Move into view'
+        };
+        trackingStatus.style.display = 'flex';
+        trackingStatus.dataset.state = state;
+        trackingLabel.textContent = labels[state];
+    }
+
+    // 'IMAGE' for photos, 'VIDEO' for the camera and video files
+    async setRunningMode(runningMode) {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'runningMode', runningMode });
+        } else if (this.pipeline) {
+            await this.pipeline.setRunningMode(runningMode);
+        }
+    }
+
+    // Forget previous frames, e.g. after seeking in a video
+    resetTracking() {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'reset' });
+        } else if (this.pipeline) {
+            this.pipeline.reset();
+        }
     }
 
     // Preload the model in background
@@ -40,78 +183,95 @@ export class PoseProcessor {
             return this.modelPreloadPromise;
         }
 
-        this.modelPreloadPromise = new Promise(async (resolve, reject) => {
+        this.modelPreloadPromise = (async () => {
             try {
                 console.log('Starting background model preload...');
 
-                // Wait for MediaPipe to be available
-                await this.waitForMediaPipe();
-
-                // Create vision instance
-                const vision = await FilesetResolver.forVisionTasks(
-                    "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/wasm"
-                );
-
-                // Create pose landmarker with segmentation enabled
-                this.poseLandmarker = await PoseLandmarker.createFromOptions(vision, {
-                    baseOptions: {
-                        modelAssetPath: "./models/pose_landmarker_lite.task"
-                    },
-                    runningMode: "VIDEO",
-                    numPoses: 1,
-                    minPoseDetectionConfidence: 0.5,
-                    minPosePresenceConfidence: 0.5,
-                    minTrackingConfidence: 0.5,
-                    outputSegmentationMasks: true
-                });
+                if (this.useWorker) {
+                    try {
+                        await this.startWorker();
+                    } catch (error) {
+                        console.warn('Pose worker unavailable, processing on the main thread:', error);
+                        this.stopWorker();
+                        this.useWorker = false;
+                    }
+                }
+
+                if (!this.useWorker) {
+                    this.pipeline = new PosePipeline(this.pipelineOptions);
+                    await this.pipeline.initialize();
+                }
 
                 this.modelPreloaded = true;
                 console.log('Model preload complete!');
-                resolve(this.poseLandmarker);
-
             } catch (error) {
                 console.error('Model preload failed:', error);
-                reject(error);
+                this.modelPreloadPromise = null;
+                throw error;
             }
-        });
+        })();
 
         return this.modelPreloadPromise;
     }
 
+    startWorker() {
+        return new Promise((resolve, reject) => {
+            this.worker = new Worker(new URL('./poseWorker.js', import.meta.url), { type: 'module' });
+            let started = false;
+
+            this.worker.onmessage = (event) => {
+                const { type } = event.data;
+                if (type === 'ready') {
+                    started = true;
+                    resolve();
+                } else if (type === 'error' && !started) {
+                    reject(new Error(`MediaPipe worker: ${event.data.message}`));
+                } else if (type === 'error') {
+                    // e.g. a running mode switch; tracing carries on as before
+                    console.error('MediaPipe worker error:', event.data.message);
+                    this.updateDebug(`AI model error: ${event.data.message}`);
+                } else if (type === 'result' && this.pendingResult) {
+                    const { resolve: resolveResult } = this.pendingResult;
+                    this.pendingResult = null;
+                    if (event.data.message) {
+                        console.error('Frame processing error:', event.data.message);
+                    }
+                    resolveResult(event.data.result);
+                }
+            };
+            this.worker.onerror = (event) => {
+                // Don't leave a frame waiting forever if the worker dies mid-frame
+                if (this.pendingResult) {
+                    this.pendingResult.resolve(null);
+                    this.pendingResult = null;
+                }
+                reject(new Error(event.message || 'Pose worker failed to start'));
+            };
+
+            this.worker.postMessage({ type: 'init', options: this.pipelineOptions });
+        });
+    }
+
+    stopWorker() {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'cleanup' });
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (this.pendingResult) {
+            this.pendingResult.resolve(null);
+            this.pendingResult = null;
+        }
+    }
+
     async initializePoseLandmarker() {
         try {
-            this.updateDebug('Loading AI model...');
+            this.updateDebug(this.modelPreloaded ? 'Using preloaded AI model...' : 'Loading AI model...');
 
-            if (this.modelPreloaded && this.modelPreloadPromise) {
-                // Use the preloaded model
-                this.updateDebug('Using preloaded AI model...');
-                this.poseLandmarker = await this.modelPreloadPromise;
-            } else {
-                // Fallback to normal loading
-                this.updateDebug('Loading AI model...');
-                await this.waitForMediaPipe();
-
-                // Create vision instance
-                const vision = await FilesetResolver.forVisionTasks(
-                    "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/wasm"
-                );
-
-                // Create pose landmarker with segmentation enabled
-                this.poseLandmarker = await PoseLandmarker.createFromOptions(vision, {
-                    baseOptions: {
-                        modelAssetPath: "./models/pose_landmarker_lite.task"
-                    },
-                    runningMode: "VIDEO",
-                    numPoses: 1,
-                    minPoseDetectionConfidence: 0.5,
-                    minPosePresenceConfidence: 0.5,
-                    minTrackingConfidence: 0.5,
-                    outputSegmentationMasks: true
-                });
-            }
+            await this.preloadModel();
 
             this.updateDebug('AI model ready! Body tracking active.');
-            console.log('MediaPipe Pose Landmarker initialized successfully');
+            console.log(`MediaPipe Pose Landmarker initialized (${this.useWorker ? 'worker' : 'main thread'})`);
 
         } catch (error) {
             console.error('Pose landmarker initialization failed:', error);
@@ -120,24 +280,10 @@ export class PoseProcessor {
         }
     }
 
-    // Helper method to wait for MediaPipe to be available
-    async waitForMediaPipe() {
-        // Since we're importing directly, MediaPipe should be available immediately
-        // But we'll keep a simple check for the imports
-        return new Promise((resolve, reject) => {
-            if (typeof PoseLandmarker !== 'undefined' && typeof FilesetResolver !== 'undefined') {
-                console.log('MediaPipe Tasks Vision is ready');
-                resolve();
-            } else {
-                reject(new Error('MediaPipe Tasks Vision imports failed'));
-            }
-        });
-    }
-
     async processFrame(frame) {
         try {
             // Prevent overlapping processing
-            if (this.isProcessing) {
+            if (this.isProcessing || !this.modelPreloaded) {
                 frame.close();
                 return;
             }
@@ -150,19 +296,32 @@ export class PoseProcessor {
                 this.updateDebug(`Processing frames... (${this.frameProcessingCount} processed)`);
             }
 
-            // Create ImageBitmap from VideoFrame for efficient processing
-            const bitmap = await createImageBitmap(frame);
+            const timestamp = performance.now();
+            // Latency counts from when the frame was read, so waiting is included
+            const readAt = this.governor.readTime(frame) ?? timestamp;
+            let result;
 
-            // Send to MediaPipe if available
-            if (this.poseLandmarker) {
-                const startTimeMs = performance.now();
-                const results = this.poseLandmarker.detectForVideo(bitmap, startTimeMs);
-                this.onPoseResults(results);
+            if (this.worker) {
+                // The frame is transferred, so the worker is responsible for closing it
+                result = await new Promise(resolve => {
+                    this.pendingResult = { resolve };
+                    this.worker.postMessage({ type: 'frame', frame, timestamp }, [frame]);
+                });
+            } else {
+                result = await this.pipeline.processFrame(frame, timestamp);
+                frame.close();
             }
 
-            // Clean up
-            bitmap.close();
-            frame.close();
+            if (result) {
+                this.onPoseResults(result);
+
+                // Latency from frame to drawn outline decides the pace of the next frames
+                this.governor.record(performance.now() - readAt, result.timing);
+                this.applyInputScale();
+                if (this.frameProcessingCount % 15 === 0 && this.debugElement) {
+                    this.debugElement.dataset.performance = this.governor.describe();
+                }
+            }
 
         } catch (error) {
             console.error('Frame processing error:', error);
@@ -173,30 +332,87 @@ export class PoseProcessor {
         }
     }
 
-    onPoseResults(results) {
+    onPoseResults(result) {
         // Reduced logging for better performance
         if (Math.random() < 0.01) { // Log only occasionally
             console.log('Pose results received:', {
-                hasSegmentationMasks: !!results.segmentationMasks && results.segmentationMasks.length > 0,
-                hasLandmarks: !!results.landmarks && results.landmarks.length > 0,
+                hasSegmentationMasks: result.hasSegmentation,
+                people: result.people.length,
                 timestamp: Date.now()
             });
         }
 
-        if (results.segmentationMasks && results.segmentationMasks.length > 0) {
-            // Update status when we get our first segmentation
-            if (!this.hasReceivedFirstSegmentation) {
-                this.hasReceivedFirstSegmentation = true;
-                this.updateDebug('First body detection received! Drawing outline...');
+        // A single person is one outline whatever id the pipeline gives them,
+        // so a re-acquired or jumping person carries on rather than starting
+        // over, and the old id can't clear or fade #bodyPath
+        const people = this.numPoses === 1 ?
+            result.people.slice(0, 1).map(person => ({ ...person, id: SINGLE_PERSON })) :
+            result.people;
+        const removedIds = this.numPoses === 1 ? [] : result.removedIds;
+
+        this.landmarkListeners.forEach(listener => listener(people));
+
+        // Update status when we get our first segmentation
+        if (result.hasSegmentation && !this.hasReceivedFirstSegmentation) {
+            this.hasReceivedFirstSegmentation = true;
+            this.updateDebug('First body detection received! Drawing outline...');
+        }
+
+        people.forEach(person => {
+            const path = this.getPersonPath(person.id);
+            if (path && person.pathData) {
+                path.setAttribute('d', person.pathData);
+                if (path === bodyPath) {
+                    this.bodyPathOwner = person.id;
+                }
+
+                // Pixel height for life-size printing, when head and heels are in view
+                const bodyHeight = measureBodyHeight(person.landmarks);
+                if (bodyHeight) {
+                    path.dataset.bodyHeight = bodyHeight.toFixed(1);
+                } else {
+                    delete path.dataset.bodyHeight;
+                }
+
+                // Kept so snapshots can store the pose, see getLandmarks
+                if (person.landmarks) {
+                    this.landmarks.set(person.id, person.landmarks);
+                } else {
+                    this.landmarks.delete(person.id);
+                }
+            }
+
+            this.skeleton.update(person.id, person.landmarks, this.numPoses > 1 ? getPersonColor(person.id) : null);
+        });
+
+        // Anyone missing from this frame keeps their last outline for the
+        // grace period, then fades out. People the pipeline has forgotten are
+        // removed once they're gone, unless they came back in the meantime.
+        removedIds.forEach(personId => this.forgottenPeople.add(personId));
+        const states = this.tracking.update(people);
+        states.forEach((entry, personId) => {
+            if (entry.state === TRACKING) {
+                this.forgottenPeople.delete(personId);
             }
-            this.drawBodyOutline(results.segmentationMasks[0]);
-        } else {
-            // Clear the SVG path when no person is detected
-            if (bodyPath) {
-                bodyPath.setAttribute('d', '');
+
+            if (entry.state !== GONE) {
+                this.setPersonOpacity(personId, entry.opacity);
+            } else if (this.forgottenPeople.has(personId)) {
+                this.removePerson(personId);
+            } else {
+                this.clearPerson(personId);
             }
+        });
+        // Forgotten after their tracking entry was already dropped
+        this.forgottenPeople.forEach(personId => {
+            if (!states.has(personId)) {
+                this.removePerson(personId);
+            }
+        });
+        this.notifyTracking();
 
-            // Show status when we're not detecting a person
+        // Show status when we're not detecting a person
+        if (!result.hasSegmentation) {
             if (this.hasReceivedFirstSegmentation) {
                 this.updateDebug('Body tracking active - move into camera view');
             } else {
@@ -205,80 +421,110 @@ export class PoseProcessor {
         }
     }
 
-    async drawBodyOutline(segmentationMask) {
-        try {
-            // Minimal logging for performance
-            if (Math.random() < 0.01) {
-                console.log('Processing segmentation mask...');
-            }
+    getPersonPath(personId) {
+        // A single person keeps drawing into #bodyPath
+        if (this.numPoses === 1) {
+            return bodyPath;
+        }
 
-            const width = segmentationMask.width;
-            const height = segmentationMask.height;
-
-            // MediaPipe segmentation masks store data in the 'g' property as Float32Array
-            if (segmentationMask.g && segmentationMask.g.length > 0) {
-                const maskData = segmentationMask.g[0]; // First (and likely only) array
-                const binaryMask = new Array(width * height);
-                let personPixelCount = 0;
-
-                // Convert Float32Array to binary mask
-                // MediaPipe segmentation values are typically 0.0 to 1.0
-                for (let i = 0; i < maskData.length && i < width * height; i++) {
-                    const value = maskData[i];
-                    binaryMask[i] = value > 0.5 ? 1 : 0; // Threshold at 0.5
-                    if (binaryMask[i] === 1) personPixelCount++;
-                }
+        if (!this.personPaths.has(personId) && bodyGroup) {
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.id = `personPath${personId}`;
+            path.classList.add('body-path');
+            path.dataset.person = personId;
+            path.setAttribute('stroke-width', '3');
+            path.setAttribute('fill', 'none');
+            path.setAttribute('fill-rule', 'evenodd');
+            path.style.setProperty('--stroke-color', getPersonColor(personId));
+            bodyGroup.appendChild(path);
+            this.personPaths.set(personId, path);
+        }
 
-                // If no pixels found with 0.5 threshold, try lower threshold
-                if (personPixelCount === 0) {
-                    for (let i = 0; i < maskData.length && i < width * height; i++) {
-                        const value = maskData[i];
-                        binaryMask[i] = value > 0.1 ? 1 : 0; // Lower threshold
-                        if (binaryMask[i] === 1) personPixelCount++;
-                    }
-                }
+        return this.personPaths.get(personId);
+    }
+
+    // The path a person has drawn into, if any. In single-person mode that's
+    // #bodyPath, once the person has drawn into it.
+    findPersonPath(personId) {
+        if (this.numPoses === 1) {
+            return personId === this.bodyPathOwner ? bodyPath : null;
+        }
+        return this.personPaths.get(personId);
+    }
+
+    clearPerson(personId) {
+        const path = this.findPersonPath(personId);
+        if (path) {
+            path.setAttribute('d', '');
+            path.style.opacity = '';
+            delete path.dataset.bodyHeight;
+        }
+        this.landmarks.delete(personId);
+        this.skeleton.clear(personId);
+    }
 
-                // Only proceed if we found person pixels
-                if (personPixelCount > 0) {
-                    // Create segmentation object compatible with ContourTracer
-                    const segmentation = {
-                        width: width,
-                        height: height,
-                        data: binaryMask
-                    };
+    // Outline and skeleton opacity while a lost person fades out
+    setPersonOpacity(personId, opacity) {
+        const path = this.findPersonPath(personId);
+        const value = opacity < 1 ? opacity.toFixed(2) : '';
+        if (path) {
+            path.style.opacity = value;
+        }
+        this.skeleton.setOpacity(personId, value);
+    }
 
-                    // Extract contours
-                    const contours = this.contourTracer.extractContours(segmentation);
+    // Pixel landmarks of the person drawn into a body path, to a tenth of a
+    // pixel, or null. Only copied when a snapshot is taken.
+    getLandmarks(path) {
+        const personId = path === bodyPath ?
+            this.bodyPathOwner :
+            [...this.personPaths].find(([, personPath]) => personPath === path)?.[0];
+        const landmarks = this.landmarks.get(personId);
+
+        return landmarks ? landmarks.map(({ x, y, z, visibility }) => ({
+            x: Math.round(x * 10) / 10,
+            y: Math.round(y * 10) / 10,
+            z: Math.round(z * 10) / 10,
+            visibility: Math.round(visibility * 100) / 100
+        })) : null;
+    }
 
-                    // Convert contours to SVG path
-                    const pathData = this.contourTracer.contoursToSVGPath(contours);
+    removePerson(personId) {
+        this.clearPerson(personId);
+        this.tracking.forget(personId);
+        this.forgottenPeople.delete(personId);
 
-                    // Update SVG path
-                    if (bodyPath && pathData) {
-                        bodyPath.setAttribute('d', pathData);
-                    }
-                }
-            }
-        } catch (error) {
-            console.error('Body outline error:', error);
+        const path = this.personPaths.get(personId);
+        if (path) {
+            path.remove();
+            this.personPaths.delete(personId);
         }
+        this.skeleton.remove(personId);
     }
 
     cleanup() {
         // Clear any ongoing processing
         this.hasReceivedFirstSegmentation = false;
+        this.governor.reset();
+        this.inputScale = 1;
         this.frameProcessingCount = 0;
         this.isProcessing = false;
 
         // Clear SVG
+        [...this.personPaths.keys()].forEach(personId => this.removePerson(personId));
+        this.tracking.clear();
+        this.forgottenPeople.clear();
+        this.bodyPathOwner = null;
+        this.landmarks.clear();
         if (bodyPath) {
             bodyPath.setAttribute('d', '');
         }
 
-        // Clean up Pose Landmarker
-        if (this.poseLandmarker) {
-            this.poseLandmarker.close();
-            this.poseLandmarker = null;
+        // Clean up the pipeline, wherever it runs
+        this.stopWorker();
+        if (this.pipeline) {
+            this.pipeline.close();
+            this.pipeline = null;
         }
 
         // Reset model state
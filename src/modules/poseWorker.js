@@ -0,0 +1,69 @@
+import { PosePipeline } from './posePipeline.js';
+
+// Runs PosePipeline off the main thread. Receives transferred VideoFrames and
+// posts back only the traced path data.
+
+// MediaPipe loads its WASM glue with importScripts, which module workers
+// don't have. A synchronous fetch + global eval does the same job.
+if (typeof self.importScripts !== 'function') {
+    self.importScripts = (...urls) => {
+        for (const url of urls) {
+            const request = new XMLHttpRequest();
+            request.open('GET', url, false);
+            request.send();
+            (0, eval)(request.responseText);
+        }
+    };
+}
+
+let pipeline = null;
+
+self.onmessage = async (event) => {
+    const { type } = event.data;
+
+    if (type === 'init') {
+        try {
+            pipeline = new PosePipeline(event.data.options);
+            await pipeline.initialize();
+            self.postMessage({ type: 'ready' });
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message });
+        }
+    } else if (type === 'frame') {
+        const { frame, timestamp } = event.data;
+        try {
+            const result = await pipeline.processFrame(frame, timestamp);
+            self.postMessage({ type: 'result', result });
+        } catch (error) {
+            self.postMessage({ type: 'result', result: null, message: error.message });
+        } finally {
+            // Always close the frame to prevent memory leaks
+            frame.close();
+        }
+    } else if (type === 'runningMode') {
+        if (pipeline) {
+            try {
+                await pipeline.setRunningMode(event.data.runningMode);
+            } catch (error) {
+                self.postMessage({ type: 'error', message: error.message });
+            }
+        }
+    } else if (type === 'inputScale') {
+        if (pipeline) {
+            pipeline.setInputScale(event.data.scale);
+        }
+    } else if (type === 'reset') {
+        if (pipeline) {
+            pipeline.reset();
+        }
+    } else if (type === 'configure') {
+        if (pipeline) {
+            pipeline.configure(event.data.settings);
+        }
+    } else if (type === 'cleanup') {
+        if (pipeline) {
+            pipeline.close();
+            pipeline = null;
+        }
+    }
+};
@@ -0,0 +1,47 @@
+// PNG output, rendered from the exported SVG so the stroke and glow match it
+export class RasterExporter {
+    static RESOLUTIONS = [1, 2, 4]; // Multiples of the camera frame size
+
+    static async generatePNG(svgContent, { width, height, scale = 2, background = null }) {
+        const image = await RasterExporter.loadSVGImage(svgContent);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const context = canvas.getContext('2d');
+
+        // Leave the canvas clear for a transparent background
+        if (background) {
+            context.fillStyle = background;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Failed to encode PNG'));
+                }
+            }, 'image/png');
+        });
+    }
+
+    static loadSVGImage(svgContent) {
+        const url = URL.createObjectURL(new Blob([svgContent], { type: 'image/svg+xml' }));
+        const image = new Image();
+
+        return new Promise((resolve, reject) => {
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Failed to render SVG'));
+            };
+            image.src = url;
+        });
+    }
+}
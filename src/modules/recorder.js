@@ -0,0 +1,139 @@
+import { recordMovement } from './domElements.js';
+import { SVGExporter } from './svgExporter.js';
+import { parsePathData, signedArea, centroid, resampleClosed, alignClosed, pointsToPathData } from './pathGeometry.js';
+
+// Records a few seconds of live outlines and exports them as a
+// self-contained animated SVG (SMIL <animate> on the path's d attribute).
+export class MovementRecorder {
+    constructor(cameraManager, downloadManager, options = {}) {
+        this.cameraManager = cameraManager;
+        this.downloadManager = downloadManager;
+        this.duration = options.duration || 3; // Seconds to record
+        this.frameRate = options.frameRate || 10; // Keyframes per second
+        this.pointCount = options.pointCount || 120; // Points per outline, identical in every keyframe
+        this.maxOutlines = options.maxOutlines || 4; // Largest outlines kept per keyframe
+        this.frames = [];
+        this.sampleTimer = null;
+        this.stopTimer = null;
+        this.setupRecordButton();
+    }
+
+    setupRecordButton() {
+        if (recordMovement) {
+            recordMovement.style.display = 'block';
+            recordMovement.addEventListener('click', () => {
+                if (this.isRecording()) {
+                    this.stop();
+                } else {
+                    this.start();
+                }
+            });
+        }
+    }
+
+    isRecording() {
+        return this.sampleTimer !== null;
+    }
+
+    start() {
+        this.frames = [];
+        recordMovement.classList.add('recording');
+        this.cameraManager.updateDebug(`Recording movement for ${this.duration}s...`);
+
+        this.sample();
+        this.sampleTimer = setInterval(() => this.sample(), 1000 / this.frameRate);
+        this.stopTimer = setTimeout(() => this.stop(), this.duration * 1000);
+    }
+
+    sample() {
+        const snapshot = SVGExporter.captureSnapshot(this.cameraManager);
+        if (snapshot) {
+            this.frames.push({ time: performance.now(), snapshot });
+        }
+    }
+
+    stop() {
+        clearInterval(this.sampleTimer);
+        clearTimeout(this.stopTimer);
+        this.sampleTimer = null;
+        this.stopTimer = null;
+        recordMovement.classList.remove('recording');
+
+        if (this.frames.length < 2) {
+            this.cameraManager.updateDebug('Not enough movement recorded');
+            return;
+        }
+
+        const svgContent = this.createAnimatedSVG(this.frames);
+        const filename = this.downloadManager.saveFile(svgContent, 'image/svg+xml', 'svg', 'bodychalk-animation');
+        this.cameraManager.updateDebug('Animated SVG downloaded successfully');
+        console.log('Animated SVG downloaded:', filename);
+    }
+
+    createAnimatedSVG(frames) {
+        const first = frames[0].snapshot;
+        const start = frames[0].time;
+        const span = frames[frames.length - 1].time - start;
+        const values = this.buildKeyframes(frames.map(frame => frame.snapshot.pathData));
+
+        return SVGExporter.generateSVGContent({
+            width: first.width,
+            height: first.height,
+            pathData: values[0],
+            animation: {
+                duration: (span / 1000).toFixed(2),
+                // Exact 0 and 1 at the ends, as SMIL requires for linear animation
+                keyTimes: frames.map((frame, index) => {
+                    if (index === 0) return 0;
+                    if (index === frames.length - 1) return 1;
+                    return ((frame.time - start) / span).toFixed(4);
+                }),
+                values
+            },
+            strokeColor: first.strokeColor,
+            cameraMode: first.cameraMode,
+            shouldMirror: first.cameraMode === 'user',
+            timestamp: first.timestamp,
+            title: 'Body Chalk Movement',
+            description: `${frames.length} keyframes recorded by bodychalk`
+        });
+    }
+
+    // SMIL only interpolates d between paths with identical commands, so every
+    // keyframe gets the same number of outlines with the same number of points
+    buildKeyframes(pathDataFrames) {
+        const frames = pathDataFrames.map(pathData => parsePathData(pathData)
+            .filter(points => points.length > 2)
+            .sort((a, b) => Math.abs(signedArea(b)) - Math.abs(signedArea(a)))
+            .slice(0, this.maxOutlines)
+            .map(points => resampleClosed(points, this.pointCount)));
+
+        const slotCount = Math.max(...frames.map(outlines => outlines.length));
+
+        for (let slot = 0; slot < slotCount; slot++) {
+            for (let index = 0; index < frames.length; index++) {
+                if (!frames[index][slot]) {
+                    // Missing outline: collapse it to a point where it is nearest in time
+                    const source = this.findNearestOutline(frames, slot, index);
+                    const [x, y] = centroid(source);
+                    frames[index][slot] = Array.from({ length: this.pointCount }, () => [x, y]);
+                } else if (index > 0) {
+                    // Keep start points lined up so the outline doesn't twist between keyframes
+                    frames[index][slot] = alignClosed(frames[index][slot], frames[index - 1][slot]);
+                }
+            }
+        }
+
+        return frames.map(outlines => pointsToPathData(outlines));
+    }
+
+    findNearestOutline(frames, slot, index) {
+        for (let distance = 1; distance < frames.length; distance++) {
+            const before = frames[index - distance]?.[slot];
+            if (before) return before;
+            const after = frames[index + distance]?.[slot];
+            if (after) return after;
+        }
+        return [[0, 0]];
+    }
+}
@@ -0,0 +1,312 @@
+// Tracing settings: defaults, presets, localStorage and URL overrides.
+// Precedence is defaults < saved settings < ?preset=name < individual URL
+// parameters, so a kiosk can be configured with a link such as
+// ?preset=plotter&poses=2&curveType=cubic
+// Only values set in the panel are saved; a link's values last for the visit.
+
+// Actions a gesture can trigger (see gestures.js and main.js)
+const GESTURE_ACTIONS = {
+    none: 'Nothing',
+    capture: 'Capture',
+    color: 'Change color',
+    share: 'Share',
+    download: 'Download SVG',
+    record: 'Record movement'
+};
+
+// display: handled outside the tracing pipeline, so changing it doesn't
+// restart the pipeline's smoothing
+export const SETTINGS = [
+    {
+        key: 'poses', label: 'People to trace', type: 'range',
+        min: 1, max: 4, step: 1, default: 1,
+        reload: true // The model is created for a fixed number of poses
+    },
+    {
+        key: 'outlineStyle', label: 'Draw', type: 'select', default: 'silhouette', display: true,
+        options: { silhouette: 'Silhouette', both: 'Silhouette + skeleton', skeleton: 'Skeleton' }
+    },
+    { key: 'landmarkVisibility', label: 'Skeleton visibility', type: 'range', min: 0, max: 1, step: 0.05, default: 0.5, display: true },
+    {
+        key: 'tracingMode', label: 'Tracing', type: 'select', default: 'marchingSquares',
+        options: { marchingSquares: 'Sub-pixel', moore: 'Pixel' }
+    },
+    { key: 'threshold', label: 'Mask threshold', type: 'range', min: 0.05, max: 0.95, step: 0.05, default: 0.5 },
+    { key: 'fallbackThreshold', label: 'Fallback threshold', type: 'range', min: 0.05, max: 0.95, step: 0.05, default: 0.1 },
+    { key: 'blurRadius', label: 'Mask blur (px)', type: 'range', min: 0, max: 10, step: 0.5, default: 0 },
+    { key: 'openRadius', label: 'Remove specks (px)', type: 'range', min: 0, max: 10, step: 1, default: 0 },
+    { key: 'closeRadius', label: 'Close gaps (px)', type: 'range', min: 0, max: 15, step: 1, default: 0 },
+    { key: 'minIslandArea', label: 'Drop islands under (px²)', type: 'range', min: 0, max: 5000, step: 50, default: 0 },
+    { key: 'maxHoleArea', label: 'Fill holes up to (px²)', type: 'range', min: 0, max: 5000, step: 50, default: 0 },
+    { key: 'offset', label: 'Outline offset (px)', type: 'range', min: 0, max: 40, step: 1, default: 0 },
+    { key: 'minContourLength', label: 'Min contour points', type: 'range', min: 3, max: 100, step: 1, default: 10 },
+    {
+        key: 'simplifyTolerance', label: 'Simplify (px)', type: 'range', min: 0, max: 10, step: 0.5, default: null,
+        auto: values => values.tracingMode === 'moore' ? 2 : 1 // Used while unset, see ContourTracer
+    },
+    { key: 'removeDuplicates', label: 'Remove inner/outer pairs', type: 'checkbox', default: true },
+    { key: 'overlapThreshold', label: 'Pair overlap', type: 'range', min: 0.1, max: 1, step: 0.05, default: 0.7 },
+    {
+        key: 'curveType', label: 'Curves', type: 'select', default: 'quadratic',
+        options: { straight: 'Straight', quadratic: 'Quadratic', cubic: 'Fitted cubic' }
+    },
+    { key: 'maxError', label: 'Curve fit error (px)', type: 'range', min: 0.5, max: 10, step: 0.5, default: 2 },
+    {
+        key: 'smoothing', label: 'Smoothing', type: 'select', default: 'oneEuro',
+        options: { oneEuro: 'One-Euro', exponential: 'Exponential', none: 'None' }
+    },
+    { key: 'minCutoff', label: 'Steadiness cutoff (Hz)', type: 'range', min: 0.1, max: 5, step: 0.1, default: 1 },
+    { key: 'beta', label: 'Speed response', type: 'range', min: 0, max: 0.5, step: 0.01, default: 0.05 },
+    { key: 'gracePeriod', label: 'Hold lost outline (ms)', type: 'range', min: 0, max: 3000, step: 100, default: 500, display: true },
+    { key: 'fadeDuration', label: 'Fade out (ms)', type: 'range', min: 0, max: 3000, step: 100, default: 700, display: true },
+    { key: 'latencyBudget', label: 'Latency budget (ms)', type: 'range', min: 20, max: 300, step: 10, default: 60, display: true },
+    { key: 'adaptiveResolution', label: 'Lower resolution when slow', type: 'checkbox', default: false, display: true },
+    { key: 'gestures', label: 'Gesture commands', type: 'checkbox', default: false, display: true },
+    { key: 'gestureHandsUp', label: 'Both hands up', type: 'select', default: 'capture', options: GESTURE_ACTIONS, display: true },
+    { key: 'gestureTPose', label: 'T-pose', type: 'select', default: 'color', options: GESTURE_ACTIONS, display: true },
+    { key: 'gestureHandOnHip', label: 'Hand on hip', type: 'select', default: 'share', options: GESTURE_ACTIONS, display: true }
+];
+
+// Presets only list what differs from the defaults
+export const PRESETS = {
+    smooth: {
+        label: 'Smooth',
+        values: {
+            blurRadius: 2, closeRadius: 3, minIslandArea: 200, maxHoleArea: 400,
+            curveType: 'cubic', maxError: 3, simplifyTolerance: 1.5, minContourLength: 20, minCutoff: 0.5, beta: 0.03
+        }
+    },
+    detailed: {
+        label: 'Detailed',
+        values: { curveType: 'quadratic', simplifyTolerance: 0.5, minContourLength: 6, minCutoff: 2, beta: 0.1 }
+    },
+    plotter: {
+        label: 'Plotter',
+        values: {
+            closeRadius: 4, minIslandArea: 500, maxHoleArea: 1000,
+            curveType: 'cubic', maxError: 1.5, minContourLength: 40, minCutoff: 0.8
+        }
+    },
+    chalk: {
+        label: 'Chalk',
+        values: {
+            blurRadius: 2, closeRadius: 6, minIslandArea: 500, maxHoleArea: 5000, offset: 15,
+            curveType: 'cubic', maxError: 2, minCutoff: 0.6
+        }
+    }
+};
+
+export class SettingsStore {
+    constructor(storageKey = 'bodychalk-settings') {
+        this.storageKey = storageKey;
+        this.listeners = [];
+        this.userValues = this.loadSaved(); // Set in the panel; the only values saved
+        this.overrides = this.loadOverrides(); // ?preset= and URL values, for this visit only
+        this.values = this.resolve();
+    }
+
+    static get defaults() {
+        return Object.fromEntries(SETTINGS.map(setting => [setting.key, setting.default]));
+    }
+
+    static definition(key) {
+        return SETTINGS.find(setting => setting.key === key);
+    }
+
+    // Whether any of the changed settings is used by the tracing pipeline
+    static affectsTracing(changedKeys) {
+        return changedKeys.some(key => {
+            const setting = SettingsStore.definition(key);
+            return setting && !setting.display && !setting.reload;
+        });
+    }
+
+    // Parse a stored or URL value; undefined if it isn't valid for the setting
+    static coerce(setting, raw) {
+        if (raw === null || raw === undefined || raw === '') {
+            return undefined;
+        }
+
+        if (setting.type === 'checkbox') {
+            if (typeof raw === 'boolean') return raw;
+            if (['1', 'true', 'on', 'yes'].includes(String(raw).toLowerCase())) return true;
+            if (['0', 'false', 'off', 'no'].includes(String(raw).toLowerCase())) return false;
+            return undefined;
+        }
+
+        if (setting.type === 'select') {
+            return Object.hasOwn(setting.options, raw) ? raw : undefined;
+        }
+
+        const value = parseFloat(raw);
+        if (!Number.isFinite(value)) {
+            return undefined;
+        }
+        // Snap to the slider's steps within its range
+        const clamped = Math.min(Math.max(value, setting.min), setting.max);
+        const steps = Math.round((clamped - setting.min) / setting.step);
+        return Number((setting.min + steps * setting.step).toFixed(6));
+    }
+
+    // Only valid values for known settings survive
+    static sanitize(source, getValue) {
+        const values = {};
+        SETTINGS.forEach(setting => {
+            const value = SettingsStore.coerce(setting, getValue(source, setting.key));
+            if (value !== undefined) {
+                values[setting.key] = value;
+            }
+        });
+        return values;
+    }
+
+    loadSaved() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            return SettingsStore.sanitize(saved, (source, key) => source[key]);
+        } catch (error) {
+            console.warn('Ignoring unreadable saved settings:', error);
+            return {};
+        }
+    }
+
+    loadOverrides() {
+        const params = new URLSearchParams(location.search);
+        const preset = PRESETS[params.get('preset')];
+
+        return {
+            ...(preset ? preset.values : {}),
+            ...SettingsStore.sanitize(params, (source, key) => source.get(key))
+        };
+    }
+
+    // Defaults are filled in on every read, so changing one reaches everyone
+    // who hasn't set that value themselves
+    resolve() {
+        return {
+            ...SettingsStore.defaults,
+            ...this.userValues,
+            ...this.overrides
+        };
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.userValues));
+        } catch (error) {
+            console.warn('Settings could not be saved:', error);
+        }
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    getAll() {
+        return { ...this.values };
+    }
+
+    // A value set in the panel also replaces the link's value for this visit
+    set(key, raw) {
+        const setting = SettingsStore.definition(key);
+        const value = setting ? SettingsStore.coerce(setting, raw) : undefined;
+        if (value === undefined || value === this.values[key]) {
+            return;
+        }
+
+        const overrides = { ...this.overrides };
+        delete overrides[key];
+        this.update({ ...this.userValues, [key]: value }, overrides);
+    }
+
+    // Back to the default, e.g. the automatic simplifyTolerance, here and in the link
+    unset(key) {
+        if (!SettingsStore.definition(key)) {
+            return;
+        }
+
+        const userValues = { ...this.userValues };
+        const overrides = { ...this.overrides };
+        delete userValues[key];
+        delete overrides[key];
+        this.update(userValues, overrides);
+    }
+
+    // A preset starts from the defaults, keeping the number of people
+    applyPreset(name) {
+        const preset = PRESETS[name];
+        if (!preset) {
+            return;
+        }
+
+        this.update({ ...this.keepPoses(this.userValues), ...preset.values }, this.keepPoses(this.overrides));
+    }
+
+    reset() {
+        this.update(this.keepPoses(this.userValues), this.keepPoses(this.overrides));
+    }
+
+    keepPoses(values) {
+        return values.poses === undefined ? {} : { poses: values.poses };
+    }
+
+    update(userValues, overrides) {
+        const previous = this.values;
+        this.userValues = userValues;
+        this.overrides = overrides;
+        this.values = this.resolve();
+        this.save();
+
+        const changed = SETTINGS
+            .map(setting => setting.key)
+            .filter(key => this.values[key] !== previous[key]);
+        if (changed.length > 0) {
+            this.notify(changed);
+        }
+    }
+
+    // listener(values, changedKeys)
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify(changedKeys) {
+        this.listeners.forEach(listener => listener(this.getAll(), changedKeys));
+    }
+
+    // Link reproducing the current settings (only those that differ from the defaults)
+    getShareURL() {
+        const url = new URL(location.href);
+        const defaults = SettingsStore.defaults;
+
+        url.searchParams.delete('preset');
+        SETTINGS.forEach(({ key }) => {
+            if (this.values[key] === defaults[key]) {
+                url.searchParams.delete(key);
+            } else {
+                url.searchParams.set(key, String(this.values[key]));
+            }
+        });
+        return url.href;
+    }
+
+    // Options for the GestureRecognizer
+    getGestureSettings() {
+        return {
+            enabled: this.values.gestures,
+            threshold: this.values.landmarkVisibility,
+            bindings: {
+                handsUp: this.values.gestureHandsUp,
+                tPose: this.values.gestureTPose,
+                handOnHip: this.values.gestureHandOnHip
+            }
+        };
+    }
+
+    // Options understood by PosePipeline (and the display options PoseProcessor keeps)
+    getTracingSettings() {
+        const tracing = this.getAll();
+        delete tracing.poses; // Fixed when the model is created
+        return tracing;
+    }
+}
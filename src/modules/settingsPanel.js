@@ -0,0 +1,160 @@
+import { settingsToggle, settingsPanel, settingsPresets, settingsControls } from './domElements.js';
+import { SETTINGS, PRESETS } from './settings.js';
+
+// Live tuning panel for the tracing settings. Controls are generated from
+// the setting definitions and write straight to the SettingsStore.
+export class SettingsPanel {
+    constructor(settingsStore, cameraManager) {
+        this.settingsStore = settingsStore;
+        this.cameraManager = cameraManager;
+        this.inputs = new Map(); // Setting key -> { input, output, setting }
+        this.autoInputs = new Map(); // Setting key -> checkbox, for settings with an automatic value
+
+        this.setupPanel();
+        this.renderPresets();
+        this.renderControls();
+
+        // Keep the controls in step when a preset or reset changes several at once
+        this.settingsStore.onChange(values => this.update(values));
+    }
+
+    setupPanel() {
+        settingsToggle.style.display = 'block';
+        settingsToggle.addEventListener('click', () => {
+            this.togglePanel();
+        });
+
+        document.getElementById('settingsReset').addEventListener('click', () => {
+            this.settingsStore.reset();
+            this.cameraManager.updateDebug('Settings reset to defaults');
+        });
+
+        document.getElementById('settingsCopyLink').addEventListener('click', () => {
+            this.copyLink();
+        });
+    }
+
+    togglePanel(show = settingsPanel.style.display !== 'flex') {
+        settingsPanel.style.display = show ? 'flex' : 'none';
+    }
+
+    renderPresets() {
+        const buttons = Object.entries(PRESETS).map(([name, preset]) => {
+            const button = document.createElement('button');
+            button.textContent = preset.label;
+            button.addEventListener('click', () => {
+                this.settingsStore.applyPreset(name);
+                this.cameraManager.updateDebug(`${preset.label} preset applied`);
+            });
+            return button;
+        });
+
+        settingsPresets.replaceChildren(...buttons);
+    }
+
+    renderControls() {
+        const values = this.settingsStore.getAll();
+
+        const rows = SETTINGS.flatMap(setting => {
+            const row = document.createElement('label');
+            row.className = 'setting-row';
+
+            const name = document.createElement('span');
+            name.className = 'setting-name';
+            name.textContent = setting.reload ? `${setting.label} (after reload)` : setting.label;
+            row.append(name);
+
+            let input;
+            let output = null;
+
+            if (setting.type === 'select') {
+                input = document.createElement('select');
+                Object.entries(setting.options).forEach(([value, label]) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = label;
+                    input.append(option);
+                });
+            } else {
+                input = document.createElement('input');
+                input.type = setting.type;
+                if (setting.type === 'range') {
+                    input.min = setting.min;
+                    input.max = setting.max;
+                    input.step = setting.step;
+                    output = document.createElement('output');
+                }
+            }
+
+            input.addEventListener('input', () => {
+                const value = setting.type === 'checkbox' ? input.checked : input.value;
+                this.settingsStore.set(setting.key, value);
+            });
+
+            row.append(input);
+            if (output) row.append(output);
+
+            this.inputs.set(setting.key, { input, output, setting });
+            return setting.auto ? [row, this.createAutoRow(setting)] : [row];
+        });
+
+        settingsControls.replaceChildren(...rows);
+        this.update(values);
+    }
+
+    // Checked while the setting is unset; unchecking keeps the automatic value
+    // as a starting point for the slider
+    createAutoRow(setting) {
+        const row = document.createElement('label');
+        row.className = 'setting-row';
+
+        const name = document.createElement('span');
+        name.className = 'setting-name';
+        name.textContent = `${setting.label}: automatic`;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.addEventListener('input', () => {
+            if (checkbox.checked) {
+                this.settingsStore.unset(setting.key);
+            } else {
+                this.settingsStore.set(setting.key, setting.auto(this.settingsStore.getAll()));
+            }
+        });
+
+        row.append(name, checkbox);
+        this.autoInputs.set(setting.key, checkbox);
+        return row;
+    }
+
+    update(values) {
+        this.autoInputs.forEach((checkbox, key) => {
+            checkbox.checked = values[key] === null;
+        });
+        this.inputs.forEach(({ input, output, setting }, key) => {
+            // Unset values show what the tracer will use instead
+            const value = values[key] ?? setting.auto?.(values);
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+            if (output) {
+                output.textContent = values[key] ?? 'Auto';
+            }
+        });
+    }
+
+    // A link that opens the app with the current settings, e.g. for kiosks
+    async copyLink() {
+        const url = this.settingsStore.getShareURL();
+
+        try {
+            await navigator.clipboard.writeText(url);
+            this.cameraManager.updateDebug('Settings link copied');
+        } catch (error) {
+            console.warn('Clipboard unavailable:', error);
+            this.cameraManager.updateDebug(`Settings link: ${url}`);
+        }
+    }
+}
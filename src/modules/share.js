@@ -1,11 +1,37 @@
 import { shareFile } from './domElements.js';
 import { SVGExporter } from './svgExporter.js';
+import { ShareOutbox } from './shareOutbox.js';
+import { OutboxPanel } from './outboxPanel.js';
+import { loadShareTarget } from './shareTarget.js';
+import { webURL, svgPreviewImage } from './markup.js';
 
 export class ShareManager {
     constructor(cameraManager) {
         this.cameraManager = cameraManager;
+        this.shareListeners = [];
+        this.preview = null; // { image, revoke } while the confirmation dialog is open
+        this.backend = null;
+        // Where shares go (see shareTarget.js)
+        this.backendPromise = loadShareTarget().then(backend => {
+            this.backend = backend;
+            return backend;
+        });
+        this.backendPromise.catch(error => {
+            console.error('Share target configuration failed:', error);
+        });
         this.setupShareButton();
         this.setupConfirmationDialog();
+        this.setupOutbox();
+    }
+
+    // Failed or offline shares are queued and retried in the background
+    setupOutbox() {
+        this.outbox = new ShareOutbox((share, signal) => this.uploadQueued(share, signal));
+        this.outboxPanel = new OutboxPanel(this.outbox);
+        this.outbox.onSent((share) => {
+            this.cameraManager.updateDebug(`Shared ${share.filename} from the outbox`);
+        });
+        this.outbox.load();
     }
 
     setupShareButton() {
@@ -24,8 +50,7 @@ export class ShareManager {
         });
 
         document.getElementById('shareConfirmOK').addEventListener('click', () => {
-            this.hideConfirmationDialog();
-            this.shareToWordPress();
+            this.confirmShare();
         });
 
         // Close dialog when clicking outside
@@ -48,12 +73,10 @@ export class ShareManager {
         });
     }
 
-    showConfirmationDialog() {
+    // Shares the given snapshot (e.g. a frozen capture), or the live outline
+    showConfirmationDialog(snapshot = null) {
         // Check if there's an outline to share
-        const bodyPathElement = document.getElementById('bodyPath');
-        const pathData = bodyPathElement?.getAttribute('d');
-
-        if (!pathData || pathData === '') {
+        if (!snapshot && !SVGExporter.hasOutline()) {
             this.showNoOutlineMessage();
             return;
         }
@@ -63,7 +86,7 @@ export class ShareManager {
             title: 'Body Outline from BodyChalk',
             description: 'Vector body outline generated by bodychalk app',
             source: 'bodychalk app'
-        });
+        }, snapshot);
 
         if (!this.capturedSVGData) {
             this.showNoOutlineMessage();
@@ -72,6 +95,7 @@ export class ShareManager {
 
         // Show preview in dialog
         this.showSVGPreview(this.capturedSVGData.svgContent);
+        this.describeTarget();
 
         const dialog = document.getElementById('shareConfirmDialog');
         if (dialog) {
@@ -79,49 +103,129 @@ export class ShareManager {
         }
     }
 
+    isConfirming() {
+        return document.getElementById('shareConfirmDialog')?.style.display === 'flex';
+    }
+
+    // Whether a share can be sent by a gesture, without a tap on the page
+    canSendWithoutTap() {
+        return this.backend?.queueable === true;
+    }
+
+    confirmShare() {
+        this.hideConfirmationDialog();
+        this.share();
+    }
+
+    // Names the gallery (or app) in the confirmation dialog
+    describeTarget() {
+        if (!this.backend) return;
+
+        const intro = document.getElementById('shareConfirmIntro');
+        document.getElementById('shareConfirmTitle').textContent = this.backend.title;
+
+        if (this.backend.pageURL) {
+            const link = document.createElement('a');
+            link.href = this.backend.pageURL;
+            link.target = '_blank';
+            link.textContent = this.backend.name;
+            intro.replaceChildren('Publish your bodychalk to the ', link, ' community page.');
+        } else if (this.backend.queueable) {
+            intro.replaceChildren(`Publish your bodychalk to ${this.backend.name}.`);
+        } else {
+            intro.replaceChildren('Send your bodychalk to another app on this device.');
+        }
+    }
+
     hideConfirmationDialog() {
         const dialog = document.getElementById('shareConfirmDialog');
         if (dialog) {
             dialog.style.display = 'none';
         }
+        document.getElementById('svgPreviewContainer').replaceChildren();
+        this.revokePreview();
     }
 
-    showResultDialog(success, message = '') {
+    // success: true (shared), false (failed) or 'queued' (saved for a retry).
+    // link is where the shared outline can be seen, if anywhere.
+    // Built from DOM nodes: server messages and links are only ever text.
+    showResultDialog(success, message = '', link = '') {
         const dialog = document.getElementById('shareResultDialog');
         const content = document.getElementById('shareResultContent');
 
-        if (success) {
-            content.innerHTML = `
-                <div class="success">
-                    <div class="success-icon">✓</div>
-                    <h3>Thanks for sharing!</h3>
-                    <p>Your bodychalk has been successfully shared with the community.</p>
-                    <p>Check it out on the <a href="https://artsforall.co/bodychalk" target="_blank">Arts for All community page</a>.</p>
-                    <div style="display: flex; justify-content: center; margin-top: 2rem;">
-                        <button id="shareResultContinue">Continue</button>
-                    </div>
-                </div>
-            `;
+        let result;
+        if (success === 'queued') {
+            result = this.createResult('queued', '⟳', 'Saved to share later', [
+                'The connection isn\'t working right now, so your bodychalk will be sent automatically once it\'s back.',
+                'Waiting shares are listed under the upload button, where they can also be cancelled.'
+            ]);
+        } else if (success) {
+            result = this.createResult('success', '✓', 'Thanks for sharing!', [
+                'Your bodychalk has been successfully shared.'
+            ]);
+
+            // Only http(s) links are shown
+            const href = webURL(link);
+            if (href) {
+                const anchor = document.createElement('a');
+                anchor.href = href;
+                anchor.target = '_blank';
+                anchor.rel = 'noopener';
+                anchor.textContent = `${this.backend.name} community page`;
+
+                const paragraph = document.createElement('p');
+                paragraph.append('Check it out on the ', anchor, '.');
+                result.insertBefore(paragraph, result.lastElementChild);
+            }
         } else {
-            content.innerHTML = `
-                <div class="error">
-                    <div class="error-icon">✗</div>
-                    <h3>Sharing Failed</h3>
-                    <p>We couldn't share your bodychalk at this time. Please try again later.</p>
-                    ${message ? `<p style="color: #999; font-size: 0.9em;">Error: ${message}</p>` : ''}
-                    <div style="display: flex; justify-content: center; margin-top: 2rem;">
-                        <button id="shareResultContinue">Continue</button>
-                    </div>
-                </div>
-            `;
+            result = this.createResult('error', '✗', 'Sharing Failed', [
+                'We couldn\'t share your bodychalk at this time. Please try again later.'
+            ]);
+
+            if (message) {
+                const detail = document.createElement('p');
+                detail.className = 'result-detail';
+                detail.textContent = `Error: ${message}`;
+                result.insertBefore(detail, result.lastElementChild);
+            }
         }
 
+        content.replaceChildren(result);
         dialog.style.display = 'flex';
+    }
+
+    // Icon, heading and paragraphs, followed by a Continue button
+    createResult(kind, icon, heading, paragraphs) {
+        const result = document.createElement('div');
+        result.className = kind;
 
-        // Add event listener to the Continue button
-        document.getElementById('shareResultContinue').addEventListener('click', () => {
+        const iconElement = document.createElement('div');
+        iconElement.className = `${kind}-icon`;
+        iconElement.textContent = icon;
+
+        const headingElement = document.createElement('h3');
+        headingElement.textContent = heading;
+
+        result.append(iconElement, headingElement);
+        paragraphs.forEach(text => {
+            const paragraph = document.createElement('p');
+            paragraph.textContent = text;
+            result.appendChild(paragraph);
+        });
+
+        const continueButton = document.createElement('button');
+        continueButton.id = 'shareResultContinue';
+        continueButton.textContent = 'Continue';
+        continueButton.addEventListener('click', () => {
             this.hideResultDialog();
         });
+
+        const buttons = document.createElement('div');
+        buttons.className = 'result-buttons';
+        buttons.appendChild(continueButton);
+        result.appendChild(buttons);
+
+        return result;
     }
 
     hideResultDialog() {
@@ -141,59 +245,111 @@ export class ShareManager {
         }, 500);
     }
 
-    async shareToWordPress() {
+    // Everything needed to send (or later resend) a share
+    createShare(svgData) {
+        return {
+            filename: `bodychalk-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.svg`,
+            svgContent: svgData.svgContent,
+            metadata: {
+                title: 'Body Outline from BodyChalk',
+                description: 'Vector body outline generated by bodychalk app',
+                camera_mode: svgData.cameraMode,
+                stroke_color: svgData.strokeColor,
+                timestamp: svgData.timestamp
+            }
+        };
+    }
+
+    // Throws on failure; error.retryable is set when trying again later may help
+    async upload(share, signal) {
+        const backend = await this.backendPromise;
+        return backend.upload(share, signal);
+    }
+
+    // For the outbox: a share target that didn't load, or one that can't send
+    // without a tap (Web Share), fails for good rather than being retried
+    async uploadQueued(share, signal) {
+        let backend;
+        try {
+            backend = await this.backendPromise;
+        } catch (error) {
+            error.retryable = false;
+            throw error;
+        }
+
+        if (!backend.queueable) {
+            const error = new Error(`${backend.name} can't send shares from the outbox`);
+            error.retryable = false;
+            throw error;
+        }
+        return backend.upload(share, signal);
+    }
+
+    // listener(svgData) when a share is sent (or queued); svgData is the
+    // shared snapshot plus its svgContent
+    onShare(listener) {
+        this.shareListeners.push(listener);
+    }
+
+    // Returns false if the share couldn't be stored either
+    async queueShare(share, reason) {
+        try {
+            await this.outbox.add(share, reason);
+        } catch (error) {
+            console.error('Could not queue share:', error);
+            return false;
+        }
+
+        this.cameraManager.updateDebug('Share saved, will send when the connection is back');
+        shareFile.style.background = 'rgba(255, 165, 0, 0.7)';
+        this.showResultDialog('queued');
+        return true;
+    }
+
+    async share() {
         try {
             // Use the previously captured SVG data
             if (!this.capturedSVGData) {
                 throw new Error('No SVG data captured for sharing');
             }
 
+            const backend = await this.backendPromise;
+            const share = this.createShare(this.capturedSVGData);
+            this.shareListeners.forEach(listener => listener(this.capturedSVGData));
+
+            // No point trying while offline
+            if (backend.queueable && !navigator.onLine && await this.queueShare(share)) {
+                return;
+            }
+
             // Show sharing in progress
-            this.cameraManager.updateDebug('Sharing to WordPress...');
+            this.cameraManager.updateDebug(`Sharing to ${backend.name}...`);
             shareFile.style.background = 'rgba(255, 165, 0, 0.7)'; // Orange for in-progress
 
-            // Prepare form data using captured data
-            const formData = new FormData();
-
-            // Create a file blob from the captured SVG content
-            const blob = new Blob([this.capturedSVGData.svgContent], { type: 'image/svg+xml' });
-            const filename = `bodychalk-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.svg`;
-
-            // Add file to form data
-            formData.append('file', blob, filename);
-            formData.append('title', 'Body Outline from BodyChalk');
-            formData.append('description', 'Vector body outline generated by bodychalk app');
-            formData.append('camera_mode', this.capturedSVGData.cameraMode);
-            formData.append('stroke_color', this.capturedSVGData.strokeColor);
-            formData.append('timestamp', this.capturedSVGData.timestamp);
-
-            // Make POST request to WordPress
-            const response = await fetch('https://artsforall.co/wp-json/bodychalk/v1/upload-svg', {
-                method: 'POST',
-                body: formData,
-                headers: {
-                    // Don't set Content-Type header - let browser set it for FormData
+            let result;
+            try {
+                result = await this.upload(share);
+            } catch (error) {
+                if (backend.queueable && error.retryable && await this.queueShare(share, error.message)) {
+                    return;
                 }
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                throw error;
             }
 
-            const result = await response.json();
+            this.cameraManager.updateDebug(`Successfully shared to ${backend.name}!`);
+            shareFile.style.background = 'rgba(0, 255, 0, 0.7)'; // Green for success
+            console.log('Share successful:', result);
 
-            if (result.success) {
-                this.cameraManager.updateDebug('Successfully shared to WordPress!');
-                shareFile.style.background = 'rgba(0, 255, 0, 0.7)'; // Green for success
-                console.log('Share successful:', result);
+            // Show success dialog
+            this.showResultDialog(true, '', result.url || backend.pageURL);
 
-                // Show success dialog
-                this.showResultDialog(true);
-            } else {
-                throw new Error(result.message || 'Unknown error from server');
+        } catch (error) {
+            // Closing the system share sheet isn't a failure
+            if (error.name === 'AbortError') {
+                this.cameraManager.updateDebug('Share cancelled');
+                return;
             }
 
-        } catch (error) {
             console.error('Share failed:', error);
             this.cameraManager.updateDebug(`Share failed: ${error.message}`);
             shareFile.style.background = 'rgba(255, 0, 0, 0.7)'; // Red for error
@@ -209,16 +365,15 @@ export class ShareManager {
     }
 
     showSVGPreview(svgContent) {
-        // Find or create preview container in the dialog
-        let previewContainer = document.getElementById('svgPreviewContainer');
-        previewContainer.innerHTML = svgContent
-        // Create a scaled-down version for preview
-        // const blob = new Blob([svgContent], { type: 'image/svg+xml' });
-        // const url = URL.createObjectURL(blob); 
-        // previewContainer.innerHTML = svgContent`
-        //     <img src="${url}" style="width: 100%; height: 100%; object-fit: contain;" alt="SVG Preview" />
-        // `; 
-        // // Clean up the URL after a delay to prevent memory leaks
-        // setTimeout(() => URL.revokeObjectURL(url), 5000);
+        this.revokePreview();
+        this.preview = svgPreviewImage(svgContent, 'Outline to share');
+        document.getElementById('svgPreviewContainer').replaceChildren(this.preview.image);
+    }
+
+    revokePreview() {
+        if (this.preview) {
+            this.preview.revoke();
+            this.preview = null;
+        }
     }
 }
@@ -0,0 +1,179 @@
+import { withStore } from './database.js';
+
+// Shares that couldn't be sent (offline, or the server had trouble) wait in
+// IndexedDB, so they survive a reload, and are retried with exponential
+// backoff. Coming back online retries everything straight away. A share the
+// server turns down for good (error.retryable === false) isn't retried: it
+// stays in the outbox marked failed until it's cancelled.
+export class ShareOutbox {
+    constructor(upload, options = {}) {
+        this.upload = upload; // async (share, signal) => result, throws on failure
+        this.baseDelay = options.baseDelay || 5000; // ms before the first retry
+        this.maxDelay = options.maxDelay || 5 * 60 * 1000; // ms, backoff ceiling
+        this.entries = [];
+        this.listeners = [];
+        this.sentListeners = [];
+        this.timer = null;
+        this.sending = null; // { id, controller } while an upload is in flight
+        this.processing = false;
+
+        window.addEventListener('online', () => this.retryNow());
+    }
+
+    // Picks up shares left over from earlier sessions
+    async load() {
+        try {
+            this.entries = await withStore('outbox', 'readonly', store => store.getAll());
+        } catch (error) {
+            console.warn('Share outbox unavailable:', error);
+            this.entries = [];
+        }
+        this.notify();
+        this.schedule();
+    }
+
+    // share: { filename, svgContent, metadata }. Rejects if it can't be stored.
+    async add(share, lastError = '') {
+        const entry = {
+            ...share,
+            createdAt: Date.now(),
+            attempts: lastError ? 1 : 0,
+            lastError,
+            failed: false,
+            nextAttemptAt: Date.now() + (lastError ? this.backoff(1) : 0)
+        };
+
+        entry.id = await withStore('outbox', 'readwrite', store => store.add(entry));
+        this.entries.push(entry);
+        this.notify();
+        this.schedule();
+        return entry;
+    }
+
+    async cancel(id) {
+        if (this.sending?.id === id) {
+            this.sending.controller.abort();
+        }
+
+        await this.remove(id);
+    }
+
+    async remove(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        try {
+            await withStore('outbox', 'readwrite', store => store.delete(id));
+        } catch (error) {
+            console.warn('Could not remove share from outbox:', error);
+        }
+        this.notify();
+    }
+
+    retryNow() {
+        const now = Date.now();
+        this.pendingEntries().forEach(entry => {
+            entry.nextAttemptAt = now;
+        });
+        this.notify();
+        this.process();
+    }
+
+    // Doubles with each attempt, with some jitter so kiosks don't retry in step
+    backoff(attempts) {
+        const delay = Math.min(this.baseDelay * 2 ** (attempts - 1), this.maxDelay);
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        const pending = this.pendingEntries();
+        if (pending.length === 0) {
+            return;
+        }
+
+        const next = Math.min(...pending.map(entry => entry.nextAttemptAt));
+        this.timer = setTimeout(() => this.process(), Math.max(0, next - Date.now()));
+    }
+
+    // Sends due shares one at a time, oldest first
+    async process() {
+        // Offline: the 'online' event starts the next round
+        if (this.processing || !navigator.onLine) {
+            return;
+        }
+
+        this.processing = true;
+        try {
+            let entry;
+            while ((entry = this.nextDueEntry()) && navigator.onLine) {
+                await this.send(entry);
+            }
+        } finally {
+            this.processing = false;
+            this.schedule();
+        }
+    }
+
+    // Entries still to be tried, i.e. not failed for good
+    pendingEntries() {
+        return this.entries.filter(entry => !entry.failed);
+    }
+
+    nextDueEntry() {
+        const now = Date.now();
+        return this.pendingEntries()
+            .filter(entry => entry.nextAttemptAt <= now)
+            .sort((a, b) => a.createdAt - b.createdAt)[0];
+    }
+
+    async send(entry) {
+        const controller = new AbortController();
+        this.sending = { id: entry.id, controller };
+        this.notify();
+
+        try {
+            const result = await this.upload(entry, controller.signal);
+            await this.remove(entry.id);
+            this.sentListeners.forEach(listener => listener(entry, result));
+        } catch (error) {
+            if (controller.signal.aborted) {
+                return; // Cancelled while sending
+            }
+
+            entry.attempts++;
+            entry.lastError = error.message;
+            if (error.retryable === false) {
+                console.warn('Queued share failed for good:', error);
+                entry.failed = true;
+            } else {
+                console.warn('Queued share failed, will retry:', error);
+                entry.nextAttemptAt = Date.now() + this.backoff(entry.attempts);
+            }
+            try {
+                await withStore('outbox', 'readwrite', store => store.put(entry));
+            } catch (storeError) {
+                console.warn('Could not update share in outbox:', storeError);
+            }
+        } finally {
+            this.sending = null;
+            this.notify();
+        }
+    }
+
+    isSending(id) {
+        return this.sending?.id === id;
+    }
+
+    // listener(entries)
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // listener(entry, result) after a queued share goes through
+    onSent(listener) {
+        this.sentListeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.entries));
+    }
+}
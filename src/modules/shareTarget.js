@@ -0,0 +1,49 @@
+import { MultipartBackend } from './multipartBackend.js';
+import { WordPressBackend } from './wordPressBackend.js';
+import { WebShareBackend } from './webShareBackend.js';
+
+// Where shared outlines go. Organizations running their own gallery can
+// deploy a share-target.json next to index.html (or point VITE_SHARE_TARGET
+// at one when building) with the same shape as this default, e.g.
+// { "backend": "multipart", "name": "Our Gallery", "url": "https://...",
+//   "auth": { "header": "Authorization", "token": "Bearer ..." },
+//   "fields": { "file": "upload", "camera_mode": null },
+//   "response": { "successPath": "ok", "messagePath": "error", "urlPath": "link" } }
+export const DEFAULT_SHARE_TARGET = {
+    backend: 'wordpress',
+    name: 'Arts for All',
+    pageURL: 'https://artsforall.co/bodychalk/',
+    url: 'https://artsforall.co/wp-json/bodychalk/v1/upload-svg'
+};
+
+export const SHARE_BACKENDS = {
+    wordpress: WordPressBackend,
+    multipart: MultipartBackend,
+    webshare: WebShareBackend
+};
+
+export function createShareBackend(config) {
+    const Backend = SHARE_BACKENDS[config.backend];
+    if (!Backend) {
+        throw new Error(`Unknown share backend: ${config.backend}`);
+    }
+    return new Backend(config);
+}
+
+// Uses the default target if no configuration is deployed. A configuration
+// that is there but invalid is an error rather than a silent fallback, so
+// shares never end up in someone else's gallery.
+export async function loadShareTarget(url = import.meta.env.VITE_SHARE_TARGET || `${import.meta.env.BASE_URL}share-target.json`) {
+    let response = null;
+    try {
+        response = await fetch(url, { cache: 'no-cache' });
+    } catch (error) {
+        console.info('Using the default share target:', error.message);
+    }
+
+    // Missing, or a dev server's index.html fallback
+    if (!response?.ok || !response.headers.get('content-type')?.includes('json')) {
+        return createShareBackend(DEFAULT_SHARE_TARGET);
+    }
+    return createShareBackend(await response.json());
+}
@@ -0,0 +1,183 @@
+import { escapeXML, cssIdentifier, cssColor } from './markup.js';
+
+// Stick-figure drawing of the 33 BlazePose landmarks: bones as lines between
+// connected landmarks and joints as circles. Landmarks the model isn't sure
+// it can see (visibility below the threshold) are left out, with their bones.
+
+// Pairs of landmark indices, as in MediaPipe's PoseLandmarker.POSE_CONNECTIONS
+export const POSE_CONNECTIONS = [
+    // Face
+    [0, 1], [1, 2], [2, 3], [3, 7], [0, 4], [4, 5], [5, 6], [6, 8], [9, 10],
+    // Shoulders and arms
+    [11, 12], [11, 13], [13, 15], [15, 17], [15, 19], [15, 21], [17, 19],
+    [12, 14], [14, 16], [16, 18], [16, 20], [16, 22], [18, 20],
+    // Torso
+    [11, 23], [12, 24], [23, 24],
+    // Legs and feet
+    [23, 25], [24, 26], [25, 27], [26, 28], [27, 29], [28, 30], [29, 31], [30, 32], [27, 31], [28, 32]
+];
+
+export const JOINT_RADIUS = 4; // px
+export const BONE_WIDTH = 2; // px
+
+export function isLandmarkVisible(landmark, threshold = 0.5) {
+    return Boolean(landmark) && (landmark.visibility ?? 1) >= threshold;
+}
+
+// [[a, b], ...] pixel positions of each bone whose ends are both visible
+export function visibleBones(landmarks, threshold = 0.5) {
+    if (!landmarks) return [];
+    return POSE_CONNECTIONS
+        .filter(([a, b]) => isLandmarkVisible(landmarks[a], threshold) && isLandmarkVisible(landmarks[b], threshold))
+        .map(([a, b]) => [landmarks[a], landmarks[b]]);
+}
+
+export function visibleJoints(landmarks, threshold = 0.5) {
+    if (!landmarks) return [];
+    return landmarks.filter(landmark => isLandmarkVisible(landmark, threshold));
+}
+
+// Bones and joints as path data for the plotter, PDF and DXF exporters;
+// joints become small polygons
+export function skeletonPathData(landmarks, threshold = 0.5, radius = JOINT_RADIUS) {
+    const round = value => Math.round(value * 10) / 10;
+    const bones = visibleBones(landmarks, threshold)
+        .map(([a, b]) => `M ${round(a.x)} ${round(a.y)} L ${round(b.x)} ${round(b.y)}`);
+
+    const sides = 8;
+    const joints = visibleJoints(landmarks, threshold).map(({ x, y }) => {
+        const points = Array.from({ length: sides }, (_, index) => {
+            const angle = (index / sides) * Math.PI * 2;
+            return `${round(x + Math.cos(angle) * radius)} ${round(y + Math.sin(angle) * radius)}`;
+        });
+        return `M ${points.join(' L ')} Z`;
+    });
+
+    return [...bones, ...joints].join(' ');
+}
+
+// A named <g> for SVG export. people: [{ id, label, landmarks, strokeColor }]
+export function skeletonSVG(people, threshold = 0.5) {
+    const round = value => Math.round(value * 10) / 10;
+    const groups = people.map(person => {
+        const color = cssColor(person.strokeColor);
+        const lines = visibleBones(person.landmarks, threshold).map(([a, b]) =>
+            `<line x1="${round(a.x)}" y1="${round(a.y)}" x2="${round(b.x)}" y2="${round(b.y)}"/>`);
+        const circles = visibleJoints(person.landmarks, threshold).map(({ x, y }) =>
+            `<circle cx="${round(x)}" cy="${round(y)}" r="${JOINT_RADIUS}"/>`);
+
+        return `<g id="${cssIdentifier(person.id)}" inkscape:label="${escapeXML(person.label)}" stroke="${color}" fill="${color}">
+        <g class="skeleton-bones" fill="none">
+          ${lines.join('\n          ')}
+        </g>
+        <g class="skeleton-joints" stroke="none">
+          ${circles.join('\n          ')}
+        </g>
+      </g>`;
+    });
+
+    return `<g id="skeleton" inkscape:label="Skeleton" stroke-width="${BONE_WIDTH}" stroke-linecap="round">
+      ${groups.join('\n      ')}
+    </g>`;
+}
+
+// Live overlay: one group per person inside #bodyGroup, so it shares the
+// outline's mirroring. Lines and circles are created once and moved each frame.
+export class SkeletonOverlay {
+    constructor(container) {
+        this.container = container;
+        this.enabled = false;
+        this.threshold = 0.5;
+        this.groups = new Map(); // Person id -> { group, lines, circles }
+    }
+
+    configure({ enabled, threshold }) {
+        this.enabled = enabled;
+        this.threshold = threshold ?? this.threshold;
+        if (!this.enabled) {
+            this.groups.forEach((_, personId) => this.remove(personId));
+        }
+    }
+
+    getGroup(personId, strokeColor) {
+        if (!this.groups.has(personId)) {
+            const namespace = 'http://www.w3.org/2000/svg';
+            const group = document.createElementNS(namespace, 'g');
+            group.classList.add('skeleton');
+            group.dataset.person = personId;
+
+            const lines = POSE_CONNECTIONS.map(() => group.appendChild(document.createElementNS(namespace, 'line')));
+            const circles = Array.from({ length: 33 }, () => {
+                const circle = document.createElementNS(namespace, 'circle');
+                circle.setAttribute('r', JOINT_RADIUS);
+                return group.appendChild(circle);
+            });
+
+            this.container.appendChild(group);
+            this.groups.set(personId, { group, lines, circles });
+        }
+
+        const entry = this.groups.get(personId);
+        if (strokeColor) {
+            entry.group.style.setProperty('--stroke-color', strokeColor);
+        }
+        return entry;
+    }
+
+    update(personId, landmarks, strokeColor = null) {
+        if (!this.enabled) return;
+        if (!landmarks) {
+            this.clear(personId);
+            return;
+        }
+
+        const { group, lines, circles } = this.getGroup(personId, strokeColor);
+        group.style.display = '';
+
+        POSE_CONNECTIONS.forEach(([a, b], index) => {
+            const line = lines[index];
+            const visible = isLandmarkVisible(landmarks[a], this.threshold) && isLandmarkVisible(landmarks[b], this.threshold);
+            line.style.display = visible ? '' : 'none';
+            if (visible) {
+                line.setAttribute('x1', landmarks[a].x);
+                line.setAttribute('y1', landmarks[a].y);
+                line.setAttribute('x2', landmarks[b].x);
+                line.setAttribute('y2', landmarks[b].y);
+            }
+        });
+
+        circles.forEach((circle, index) => {
+            const landmark = landmarks[index];
+            const visible = isLandmarkVisible(landmark, this.threshold);
+            circle.style.display = visible ? '' : 'none';
+            if (visible) {
+                circle.setAttribute('cx', landmark.x);
+                circle.setAttribute('cy', landmark.y);
+            }
+        });
+    }
+
+    // Follows the outline while a lost person fades out ('' for fully opaque)
+    setOpacity(personId, opacity) {
+        const entry = this.groups.get(personId);
+        if (entry) {
+            entry.group.style.opacity = opacity;
+        }
+    }
+
+    clear(personId) {
+        const entry = this.groups.get(personId);
+        if (entry) {
+            entry.group.style.display = 'none';
+            entry.group.style.opacity = '';
+        }
+    }
+
+    remove(personId) {
+        const entry = this.groups.get(personId);
+        if (entry) {
+            entry.group.remove();
+            this.groups.delete(personId);
+        }
+    }
+}
@@ -0,0 +1,147 @@
+import {
+    sourceButton,
+    sourceFile,
+    videoControls,
+    videoPlayPause,
+    videoScrubber,
+    videoTime
+} from './domElements.js';
+import { ImageSource } from './imageSource.js';
+import { VideoFileSource } from './videoFileSource.js';
+
+// Switches between the live camera and uploaded photos or video files, and
+// drives the play/pause and scrub controls for video.
+export class SourceManager {
+    constructor(cameraManager, poseProcessor, onSourceChange) {
+        this.cameraManager = cameraManager;
+        this.poseProcessor = poseProcessor;
+        this.onSourceChange = onSourceChange; // Restarts the processing loop
+        this.timeUpdater = null;
+        this.setupControls();
+    }
+
+    setupControls() {
+        sourceButton.style.display = 'block';
+        sourceButton.addEventListener('click', () => {
+            if (this.cameraManager.fileSource) {
+                this.useCamera();
+            } else {
+                sourceFile.click();
+            }
+        });
+
+        sourceFile.addEventListener('change', () => {
+            const [file] = sourceFile.files;
+            sourceFile.value = ''; // Allow picking the same file again
+            if (file) {
+                this.useFile(file);
+            }
+        });
+
+        videoPlayPause.addEventListener('click', () => {
+            const source = this.cameraManager.fileSource;
+            if (!source || source.kind !== 'video') return;
+
+            if (source.paused) {
+                source.play();
+            } else {
+                source.pause();
+            }
+            this.updateVideoControls();
+        });
+
+        videoScrubber.addEventListener('input', () => {
+            const source = this.cameraManager.fileSource;
+            if (!source || source.kind !== 'video') return;
+
+            // Pause on the chosen frame so it can be captured or downloaded
+            source.pause();
+            source.seek(parseFloat(videoScrubber.value));
+            // A jump in time: don't blend with the outline from before
+            this.poseProcessor.resetTracking();
+            this.updateVideoControls();
+        });
+    }
+
+    async useFile(file) {
+        const Source = file.type.startsWith('video/') ? VideoFileSource :
+            file.type.startsWith('image/') ? ImageSource :
+                null;
+
+        if (!Source) {
+            this.cameraManager.updateDebug('Please choose a photo or video file');
+            return;
+        }
+
+        try {
+            const source = new Source(file);
+            const dimensions = await this.cameraManager.useFileSource(source);
+            await this.poseProcessor.setRunningMode(source.runningMode);
+            this.setSourceIcon('photo_camera');
+
+            if (source.kind === 'video') {
+                this.showVideoControls(source);
+                source.play();
+            } else {
+                this.hideVideoControls();
+            }
+
+            this.onSourceChange(dimensions);
+        } catch (error) {
+            console.error('Failed to open file:', error);
+            this.cameraManager.updateDebug(`Could not open ${file.name}: ${error.message}`);
+        }
+    }
+
+    async useCamera() {
+        try {
+            this.hideVideoControls();
+            const dimensions = await this.cameraManager.useCamera();
+            await this.poseProcessor.setRunningMode('VIDEO');
+            this.setSourceIcon('perm_media');
+            this.onSourceChange(dimensions);
+        } catch (error) {
+            console.error('Failed to return to the camera:', error);
+        }
+    }
+
+    setSourceIcon(name) {
+        sourceButton.querySelector('.material-symbols-outlined').textContent = name;
+    }
+
+    showVideoControls(source) {
+        videoScrubber.max = source.duration;
+        videoScrubber.step = 1 / 30;
+        videoScrubber.value = 0;
+        videoControls.style.display = 'flex';
+
+        clearInterval(this.timeUpdater);
+        this.timeUpdater = setInterval(() => this.updateVideoControls(), 250);
+        this.updateVideoControls();
+    }
+
+    hideVideoControls() {
+        clearInterval(this.timeUpdater);
+        this.timeUpdater = null;
+        videoControls.style.display = 'none';
+    }
+
+    updateVideoControls() {
+        const source = this.cameraManager.fileSource;
+        if (!source || source.kind !== 'video') return;
+
+        // While paused the slider already shows the chosen frame
+        if (!source.paused) {
+            videoScrubber.value = source.currentTime;
+        }
+        videoTime.textContent = `${SourceManager.formatTime(source.currentTime)} / ${SourceManager.formatTime(source.duration)}`;
+        videoPlayPause.querySelector('.material-symbols-outlined').textContent = source.paused ? 'play_arrow' : 'pause';
+    }
+
+    // e.g. 1:05.3
+    static formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const remainder = (seconds - minutes * 60).toFixed(1).padStart(4, '0');
+        return `${minutes}:${remainder}`;
+    }
+}
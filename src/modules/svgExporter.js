@@ -1,44 +1,131 @@
+import { escapeXML, xmlName, cssIdentifier, cssColor, sanitizePathData } from './markup.js';
+import { skeletonSVG } from './skeleton.js';
+
 export class SVGExporter {
-    static createExportableSVG(cameraManager, options = {}) {
-        try {
-            const svg = document.getElementById('svg');
-            const bodyPathElement = document.getElementById('bodyPath');
+    // Provides each body path's landmarks (the PoseProcessor), see setLandmarkSource
+    static landmarkSource = null;
 
-            if (!svg || !bodyPathElement) {
-                return null;
-            }
+    static setLandmarkSource(source) {
+        SVGExporter.landmarkSource = source;
+    }
+
+    // Body paths currently holding an outline (one per person in multi-person mode)
+    static getBodyPaths() {
+        const bodyGroup = document.getElementById('bodyGroup');
+        if (!bodyGroup) {
+            return [];
+        }
+
+        return [...bodyGroup.querySelectorAll('.body-path')]
+            .filter(path => path.getAttribute('d'));
+    }
+
+    static hasOutline() {
+        return SVGExporter.getBodyPaths().length > 0;
+    }
+
+    // Freeze the current outline(s) so they can be exported later
+    static captureSnapshot(cameraManager) {
+        const svg = document.getElementById('svg');
+        const bodyPaths = SVGExporter.getBodyPaths();
+
+        if (!svg || bodyPaths.length === 0) {
+            return null;
+        }
+
+        // Get the current stroke color from CSS variable
+        const computedStyle = getComputedStyle(svg);
+        const currentColor = computedStyle.getPropertyValue('--stroke-color').trim() || '#00ff00';
+
+        // Tracked people become separately labelled layers
+        const layers = bodyPaths.some(path => path.dataset.person) ?
+            bodyPaths.map(path => ({
+                id: `person-${path.dataset.person}`,
+                label: `Person ${path.dataset.person}`,
+                pathData: path.getAttribute('d'),
+                strokeColor: path.style.getPropertyValue('--stroke-color').trim() || currentColor,
+                bodyHeight: parseFloat(path.dataset.bodyHeight) || null,
+                landmarks: SVGExporter.readLandmarks(path)
+            })) :
+            null;
+
+        // Head-to-heel pixel height of the tallest fully visible person
+        const bodyHeights = bodyPaths.map(path => parseFloat(path.dataset.bodyHeight)).filter(height => height > 0);
+
+        return {
+            pathData: bodyPaths.map(path => path.getAttribute('d')).join(' '),
+            layers: layers,
+            strokeColor: currentColor,
+            bodyHeight: bodyHeights.length > 0 ? Math.max(...bodyHeights) : null,
+            // Pixel landmarks of each person in view, see PoseProcessor
+            landmarks: bodyPaths.map(path => SVGExporter.readLandmarks(path)).filter(Boolean),
+            // Silhouette, skeleton or both, as drawn at the time
+            outlineStyle: svg.dataset.outlineStyle || 'silhouette',
+            landmarkVisibility: parseFloat(svg.dataset.landmarkVisibility) || 0.5,
+            cameraMode: cameraManager.currentFacingMode,
+            timestamp: new Date().toISOString(),
+            width: cameraManager.videoWidth,
+            height: cameraManager.videoHeight
+        };
+    }
+
+    // People to draw as stick figures, or null when the skeleton is off
+    static getSkeletonPeople(data) {
+        if (!data.outlineStyle || data.outlineStyle === 'silhouette') {
+            return null;
+        }
 
-            // Get the current path data
-            const pathData = bodyPathElement.getAttribute('d');
+        const people = data.layers ?
+            data.layers
+                .filter(layer => layer.landmarks)
+                .map(layer => ({
+                    id: `skeleton-${layer.id}`,
+                    label: `${layer.label} skeleton`,
+                    landmarks: layer.landmarks,
+                    strokeColor: layer.strokeColor
+                })) :
+            (data.landmarks || []).map((landmarks, index) => ({
+                id: `skeleton-${index + 1}`,
+                label: `Skeleton ${index + 1}`,
+                landmarks,
+                strokeColor: data.strokeColor
+            }));
 
-            if (!pathData || pathData === '') {
+        return people.length > 0 ? people : null;
+    }
+
+    static readLandmarks(path) {
+        return SVGExporter.landmarkSource?.getLandmarks(path) ?? null;
+    }
+
+    // Uses the given snapshot, or the live outline when there is none
+    static createExportableSVG(cameraManager, options = {}, snapshot = null) {
+        try {
+            const data = snapshot || SVGExporter.captureSnapshot(cameraManager);
+
+            if (!data) {
                 return null;
             }
 
-            // Get the current stroke color from CSS variable
-            const computedStyle = getComputedStyle(svg);
-            const currentColor = computedStyle.getPropertyValue('--stroke-color').trim() || '#00ff00';
-
             // Clone the SVG content with proper structure
             const svgContent = SVGExporter.generateSVGContent({
-                width: cameraManager.videoWidth,
-                height: cameraManager.videoHeight,
-                pathData: pathData,
-                strokeColor: currentColor,
-                cameraMode: cameraManager.currentFacingMode,
-                shouldMirror: cameraManager.currentFacingMode === 'user',
-                timestamp: new Date().toISOString(),
+                width: data.width,
+                height: data.height,
+                pathData: data.pathData,
+                layers: data.layers,
+                strokeColor: data.strokeColor,
+                cameraMode: data.cameraMode,
+                shouldMirror: data.cameraMode === 'user',
+                timestamp: data.timestamp,
+                skeleton: SVGExporter.getSkeletonPeople(data),
+                skeletonThreshold: data.landmarkVisibility,
+                showOutline: data.outlineStyle !== 'skeleton',
                 ...options
             });
 
             return {
                 svgContent,
-                pathData: pathData,
-                strokeColor: currentColor,
-                cameraMode: cameraManager.currentFacingMode,
-                timestamp: new Date().toISOString(),
-                width: cameraManager.videoWidth,
-                height: cameraManager.videoHeight
+                ...data
             };
         } catch (error) {
             console.error('Failed to create exportable SVG:', error);
@@ -46,51 +133,154 @@ export class SVGExporter {
         }
     }
 
+    // One SVG holding several captured exposures, bottom layer first
+    static createCompositionSVG(exposures, options = {}) {
+        if (!exposures || exposures.length === 0) {
+            return null;
+        }
+
+        const width = Math.max(...exposures.map(exposure => exposure.snapshot.width));
+        const height = Math.max(...exposures.map(exposure => exposure.snapshot.height));
+        const timestamp = new Date().toISOString();
+
+        // Each exposure keeps the mirroring of the camera it was captured with
+        const layers = exposures.map(exposure => ({
+            id: `exposure-${exposure.id}`,
+            label: exposure.label,
+            pathData: exposure.snapshot.pathData,
+            strokeColor: exposure.strokeColor,
+            transform: exposure.snapshot.cameraMode === 'user' ?
+                `translate(${exposure.snapshot.width}, 0) scale(-1, 1)` :
+                '',
+            metadata: {
+                created: exposure.snapshot.timestamp,
+                camera: exposure.snapshot.cameraMode,
+                'stroke-color': exposure.strokeColor
+            }
+        }));
+
+        const svgContent = SVGExporter.generateSVGContent({
+            width,
+            height,
+            layers,
+            strokeColor: layers[layers.length - 1].strokeColor,
+            cameraMode: 'composition',
+            shouldMirror: false,
+            timestamp,
+            title: 'Body Chalk Composition',
+            description: `${layers.length} body outlines layered by bodychalk`,
+            ...options
+        });
+
+        return { svgContent, layers, width, height, timestamp };
+    }
+
     static generateSVGContent({
         width,
         height,
         pathData,
+        layers = null,
+        animation = null,
         strokeColor = '#00ff00',
         cameraMode,
         shouldMirror = false,
         timestamp,
         title = 'Body Chalk Outline',
         description = 'Vector body outline generated by bodychalk',
-        source = 'bodychalk app'
+        source = 'bodychalk app',
+        skeleton = null, // [{ id, label, landmarks, strokeColor }], see skeleton.js
+        skeletonThreshold = 0.5,
+        showOutline = true
     }) {
+        // Everything that varies is escaped or validated (see markup.js)
+        const safeWidth = Number(width) || 0;
+        const safeHeight = Number(height) || 0;
+        const safeStrokeColor = cssColor(strokeColor);
+
         // Create the group with appropriate transform
-        const groupTransform = shouldMirror ? `translate(${width}, 0) scale(-1, 1)` : '';
+        const groupTransform = shouldMirror ? `translate(${safeWidth}, 0) scale(-1, 1)` : '';
         const groupElement = groupTransform ?
             `<g transform="${groupTransform}">` :
             '<g>';
 
+        // Each layer gets its own labelled group and stroke color, plus an
+        // optional transform (e.g. mirroring) and metadata of its own
+        const safeLayers = layers ?
+            layers.map(layer => ({
+                ...layer,
+                id: cssIdentifier(layer.id),
+                strokeColor: cssColor(layer.strokeColor, safeStrokeColor)
+            })) :
+            null;
+
+        const bodyContent = safeLayers ?
+            safeLayers.map(layer => {
+                const transform = layer.transform ? ` transform="${escapeXML(layer.transform)}"` : '';
+                const metadata = layer.metadata ?
+                    `
+      <metadata>
+${Object.entries(layer.metadata).map(([key, value]) => `        <${xmlName(key)}>${escapeXML(value)}</${xmlName(key)}>`).join('\n')}
+      </metadata>` :
+                    '';
+                return `<g id="${layer.id}" inkscape:label="${escapeXML(layer.label)}"${transform}>${metadata}
+      <path d="${sanitizePathData(layer.pathData)}" class="body-outline" fill-rule="evenodd"/>
+    </g>`;
+            }).join('\n    ') :
+            animation ?
+                `<path d="${sanitizePathData(pathData)}" class="body-outline" fill-rule="evenodd">
+      <animate attributeName="d" dur="${Number(animation.duration) || 0}s" repeatCount="indefinite" calcMode="linear"
+               keyTimes="${animation.keyTimes.map(Number).join(';')}"
+               values="${animation.values.map(sanitizePathData).join(';\n                       ')}"/>
+    </path>` :
+                `<path d="${sanitizePathData(pathData)}" class="body-outline" fill-rule="evenodd"/>`;
+
+        const layerStyles = safeLayers ?
+            safeLayers.map(layer => `
+      #${layer.id} .body-outline {
+        stroke: ${layer.strokeColor};
+        filter: drop-shadow(0 0 5px ${layer.strokeColor});
+      }`).join('') :
+            '';
+
+        // Stick figures go in a named group of their own, beside (or instead of) the outline
+        const skeletonContent = skeleton ? skeletonSVG(skeleton, skeletonThreshold) : '';
+        const drawingContent = [showOutline ? bodyContent : '', skeletonContent]
+            .filter(Boolean)
+            .join('\n    ');
+
+        const namespaces = layers || skeleton ?
+            `xmlns="http://www.w3.org/2000/svg"
+     xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape"` :
+            'xmlns="http://www.w3.org/2000/svg"';
+
         return `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="http://www.w3.org/2000/svg" 
-     width="${width}" 
-     height="${height}" 
-     viewBox="0 0 ${width} ${height}">
+<svg ${namespaces}
+     width="${safeWidth}"
+     height="${safeHeight}"
+     viewBox="0 0 ${safeWidth} ${safeHeight}">
   <defs>
     <style>
       .body-outline {
-        stroke: ${strokeColor};
+        stroke: ${safeStrokeColor};
         stroke-width: 3;
         fill: none;
+        fill-rule: evenodd;
         stroke-linejoin: round;
         stroke-linecap: round;
-        filter: drop-shadow(0 0 5px ${strokeColor});
-      }
+        filter: drop-shadow(0 0 5px ${safeStrokeColor});
+      }${layerStyles}
     </style>
   </defs>
   <metadata>
-    <title>${title}</title>
-    <description>${description}</description>
-    <created>${timestamp}</created>
-    <camera>${cameraMode}</camera>
-    <stroke-color>${strokeColor}</stroke-color>
-    <source>${source}</source>
+    <title>${escapeXML(title)}</title>
+    <description>${escapeXML(description)}</description>
+    <created>${escapeXML(timestamp)}</created>
+    <camera>${escapeXML(cameraMode)}</camera>
+    <stroke-color>${safeStrokeColor}</stroke-color>
+    <source>${escapeXML(source)}</source>
   </metadata>
   ${groupElement}
-    <path d="${pathData}" class="body-outline"/>
+    ${drawingContent}
   </g>
 </svg>`;
     }
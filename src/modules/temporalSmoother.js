@@ -0,0 +1,162 @@
+import { resampleClosed, alignClosed } from './pathGeometry.js';
+
+// Temporal stabilization of traced contours across frames.
+// Each contour is resampled to a fixed number of points, matched to the
+// contour it continues from the previous frame, aligned in start point and
+// direction, and then blended with its previous positions.
+export class TemporalSmoother {
+    constructor(options = {}) {
+        this.pointCount = options.pointCount || 200; // Points per resampled contour
+        this.method = options.method || 'oneEuro'; // 'oneEuro', 'exponential' or 'none'
+        this.strength = options.strength ?? 0.6; // Exponential: 0 = follow input, towards 1 = heavier smoothing
+        this.minCutoff = options.minCutoff ?? 1.0; // One-Euro: cutoff (Hz) when the outline is still
+        this.beta = options.beta ?? 0.05; // One-Euro: how quickly the cutoff rises with speed
+        this.derivativeCutoff = options.derivativeCutoff ?? 1.0; // One-Euro: cutoff (Hz) for the speed estimate
+        this.maxMatchDistance = options.maxMatchDistance || 0.5; // Max centroid jump, relative to contour size
+
+        this.tracks = [];
+        this.lastTimestamp = null;
+    }
+
+    reset() {
+        this.tracks = [];
+        this.lastTimestamp = null;
+    }
+
+    smooth(contours, timestamp = performance.now()) {
+        if (!contours || contours.length === 0 || this.method === 'none') {
+            this.reset();
+            return contours;
+        }
+
+        // Seconds since the previous frame, guarded against duplicate timestamps
+        const dt = this.lastTimestamp === null
+            ? 1 / 30
+            : Math.max((timestamp - this.lastTimestamp) / 1000, 1 / 240);
+        this.lastTimestamp = timestamp;
+
+        const available = new Set(this.tracks.map((_, index) => index));
+        const nextTracks = [];
+
+        const smoothed = contours.map(contour => {
+            const points = resampleClosed(contour, this.pointCount);
+            const shape = this.describe(points);
+            const trackIndex = this.findMatchingTrack(shape, available);
+
+            if (trackIndex === -1) {
+                // New contour: nothing to blend with yet
+                nextTracks.push({
+                    ...shape,
+                    points,
+                    velocity: points.map(() => [0, 0])
+                });
+                return points;
+            }
+
+            available.delete(trackIndex);
+            const track = this.tracks[trackIndex];
+            // Line up start point and direction with the previous frame
+            const aligned = alignClosed(points, track.points);
+            const filtered = this.filter(aligned, track, dt);
+
+            nextTracks.push({
+                ...this.describe(filtered.points),
+                points: filtered.points,
+                velocity: filtered.velocity
+            });
+            return filtered.points;
+        });
+
+        this.tracks = nextTracks;
+        return smoothed;
+    }
+
+    describe(points) {
+        let cx = 0;
+        let cy = 0;
+        let area = 0;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+        for (let i = 0; i < points.length; i++) {
+            const [x0, y0] = points[i];
+            const [x1, y1] = points[(i + 1) % points.length];
+            cx += x0;
+            cy += y0;
+            area += x0 * y1 - x1 * y0;
+            minX = Math.min(minX, x0);
+            minY = Math.min(minY, y0);
+            maxX = Math.max(maxX, x0);
+            maxY = Math.max(maxY, y0);
+        }
+
+        return {
+            centroid: [cx / points.length, cy / points.length],
+            signedArea: area / 2,
+            size: Math.max(maxX - minX, maxY - minY)
+        };
+    }
+
+    // Closest previous contour with the same winding, within reach
+    findMatchingTrack(shape, available) {
+        let bestIndex = -1;
+        let bestDistance = Infinity;
+
+        for (const index of available) {
+            const track = this.tracks[index];
+            if (Math.sign(track.signedArea) !== Math.sign(shape.signedArea)) continue;
+
+            const distance = Math.hypot(
+                track.centroid[0] - shape.centroid[0],
+                track.centroid[1] - shape.centroid[1]
+            );
+            const reach = this.maxMatchDistance * Math.max(track.size, shape.size);
+
+            if (distance <= reach && distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = index;
+            }
+        }
+
+        return bestIndex;
+    }
+
+    filter(points, track, dt) {
+        if (this.method === 'exponential') {
+            const keep = Math.min(Math.max(this.strength, 0), 0.99);
+            const filtered = points.map(([x, y], i) => [
+                x * (1 - keep) + track.points[i][0] * keep,
+                y * (1 - keep) + track.points[i][1] * keep
+            ]);
+            return { points: filtered, velocity: track.velocity };
+        }
+
+        // One-Euro filter: heavy smoothing at rest, cutoff rises with speed
+        const derivativeAlpha = this.smoothingFactor(this.derivativeCutoff, dt);
+        const filtered = [];
+        const velocity = [];
+
+        for (let i = 0; i < points.length; i++) {
+            const [x, y] = points[i];
+            const [px, py] = track.points[i];
+            const [pvx, pvy] = track.velocity[i];
+
+            const vx = derivativeAlpha * ((x - px) / dt) + (1 - derivativeAlpha) * pvx;
+            const vy = derivativeAlpha * ((y - py) / dt) + (1 - derivativeAlpha) * pvy;
+            const cutoff = this.minCutoff + this.beta * Math.hypot(vx, vy);
+            const alpha = this.smoothingFactor(cutoff, dt);
+
+            filtered.push([
+                alpha * x + (1 - alpha) * px,
+                alpha * y + (1 - alpha) * py
+            ]);
+            velocity.push([vx, vy]);
+        }
+
+        return { points: filtered, velocity };
+    }
+
+    smoothingFactor(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+}
@@ -0,0 +1,205 @@
+import { PDFDocument, POINTS_PER_MM } from './pdfWriter.js';
+import { PAPER_SIZES } from './plotterExporter.js';
+import { parsePathData, boundingBox } from './pathGeometry.js';
+
+// Life-size print, tiled across as many pages as it takes.
+// The outline is scaled so the landmark-measured head-to-heel height equals
+// the person's real height. Neighbouring pages overlap; registration marks in
+// the overlaps land on both pages so they can be lined up and taped together.
+export class TiledPrintExporter {
+    static defaultOptions = {
+        realHeight: 1700, // mm, head top to heel
+        paperSize: 'A4',
+        margin: 10, // mm left blank for the printer on every side
+        overlap: 15, // mm shared with each neighbouring page
+        padding: 10, // mm of space around the outline
+        strokeWidth: 2 // mm
+    };
+
+    static generatePDF({
+        width,
+        pathData,
+        layers = null,
+        strokeColor = '#00ff00',
+        bodyHeight = null,
+        shouldMirror = false,
+        timestamp = new Date().toISOString()
+    }, options = {}) {
+        const settings = { ...TiledPrintExporter.defaultOptions, ...options };
+
+        if (!bodyHeight) {
+            throw new Error('Stand with your head and feet in view so your height can be measured');
+        }
+
+        // Millimetres per pixel, mirrored like the on-screen view
+        const scale = settings.realHeight / bodyHeight;
+        const sourceLayers = layers || [{ id: 'outline', pathData, strokeColor }];
+        const drawingLayers = sourceLayers.map(layer => ({
+            strokeColor: layer.strokeColor || strokeColor,
+            polylines: parsePathData(layer.pathData)
+                .filter(points => points.length > 1)
+                .map(points => points.map(([x, y]) => [(shouldMirror ? width - x : x) * scale, y * scale]))
+        }));
+
+        if (drawingLayers.every(layer => layer.polylines.length === 0)) {
+            return null;
+        }
+
+        // Drawing coordinates in mm, y down, starting at the padding
+        const bounds = boundingBox(drawingLayers.flatMap(layer => layer.polylines));
+        const shift = [settings.padding - bounds.minX, settings.padding - bounds.minY];
+        drawingLayers.forEach(layer => {
+            layer.polylines = layer.polylines.map(points => points.map(([x, y]) => [x + shift[0], y + shift[1]]));
+        });
+        const allPolylines = drawingLayers.flatMap(layer => layer.polylines);
+
+        const paper = PAPER_SIZES[settings.paperSize] || PAPER_SIZES.A4;
+        const grid = TiledPrintExporter.planGrid(
+            bounds.width + settings.padding * 2,
+            bounds.height + settings.padding * 2,
+            paper,
+            settings
+        );
+        const marks = TiledPrintExporter.registrationMarks(grid);
+
+        const pdf = new PDFDocument({ title: `Body Chalk Life-size ${timestamp}` });
+        for (let row = 0; row < grid.rows; row++) {
+            for (let column = 0; column < grid.columns; column++) {
+                // Pages the outline never crosses are left out; the rest keep their grid names
+                if (!TiledPrintExporter.tileHasOutline(allPolylines, grid, row, column)) continue;
+
+                const content = TiledPrintExporter.drawTile(drawingLayers, marks, grid, row, column, settings);
+                pdf.addPage(paper.width * POINTS_PER_MM, paper.height * POINTS_PER_MM, content);
+            }
+        }
+
+        return pdf.toBlob();
+    }
+
+    // Tiles are the printable area of each page, placed overlap apart
+    static planGrid(drawingWidth, drawingHeight, paper, { margin, overlap }) {
+        const tileWidth = paper.width - margin * 2;
+        const tileHeight = paper.height - margin * 2;
+        const stepX = tileWidth - overlap;
+        const stepY = tileHeight - overlap;
+
+        return {
+            paper,
+            margin,
+            overlap,
+            tileWidth,
+            tileHeight,
+            stepX,
+            stepY,
+            columns: Math.max(1, Math.ceil((drawingWidth - overlap) / stepX)),
+            rows: Math.max(1, Math.ceil((drawingHeight - overlap) / stepY))
+        };
+    }
+
+    // Whether any outline segment's bounding box reaches into the tile
+    static tileHasOutline(polylines, { tileWidth, tileHeight, stepX, stepY }, row, column) {
+        const left = column * stepX;
+        const top = row * stepY;
+
+        return polylines.some(points => points.some(([x0, y0], index) => {
+            const [x1, y1] = points[(index + 1) % points.length];
+            return Math.max(x0, x1) >= left && Math.min(x0, x1) <= left + tileWidth &&
+                Math.max(y0, y1) >= top && Math.min(y0, y1) <= top + tileHeight;
+        }));
+    }
+
+    // Marks sit in the middle of each overlap strip, so every one of them is
+    // printed on all the pages (two or four) that share that spot
+    static registrationMarks({ columns, rows, tileWidth, tileHeight, stepX, stepY, overlap }) {
+        const marks = [];
+        const along = [0.25, 0.75];
+
+        for (let column = 1; column < columns; column++) {
+            const x = column * stepX + overlap / 2;
+            for (let row = 0; row < rows; row++) {
+                along.forEach(fraction => marks.push([x, row * stepY + tileHeight * fraction]));
+            }
+        }
+
+        for (let row = 1; row < rows; row++) {
+            const y = row * stepY + overlap / 2;
+            for (let column = 0; column < columns; column++) {
+                along.forEach(fraction => marks.push([column * stepX + tileWidth * fraction, y]));
+            }
+            for (let column = 1; column < columns; column++) {
+                marks.push([column * stepX + overlap / 2, y]);
+            }
+        }
+
+        return marks;
+    }
+
+    static drawTile(drawingLayers, marks, grid, row, column, settings) {
+        const { paper, margin, overlap, tileWidth, tileHeight } = grid;
+        const originX = column * grid.stepX;
+        const originY = row * grid.stepY;
+        const point = (value) => (value * POINTS_PER_MM).toFixed(2);
+        // Drawing mm (y down) to page points (y up)
+        const toPage = ([x, y]) => `${point(margin + x - originX)} ${point(paper.height - margin - (y - originY))}`;
+        const inTile = ([x, y], reach) => x >= originX - reach && x <= originX + tileWidth + reach &&
+            y >= originY - reach && y <= originY + tileHeight + reach;
+
+        const operators = [
+            'q',
+            // Clip to the printable area
+            `${point(margin)} ${point(margin)} ${point(tileWidth)} ${point(tileHeight)} re W n`,
+            '1 J 1 j'
+        ];
+
+        drawingLayers.forEach(layer => {
+            operators.push(`${PDFDocument.rgb(layer.strokeColor)} RG`, `${point(settings.strokeWidth)} w`);
+            layer.polylines.forEach(points => {
+                operators.push(points.map((vertex, index) => `${toPage(vertex)} ${index === 0 ? 'm' : 'l'}`).join('\n'), 'h S');
+            });
+        });
+
+        // Registration marks: circle and cross hair
+        const radius = 3;
+        const arm = 5;
+        const k = radius * 0.5523; // Bezier handle length for a quarter circle
+        operators.push('0 0 0 RG', `${point(0.2)} w`);
+        marks.filter(mark => inTile(mark, arm)).forEach(([x, y]) => {
+            operators.push(
+                `${toPage([x - arm, y])} m ${toPage([x + arm, y])} l S`,
+                `${toPage([x, y - arm])} m ${toPage([x, y + arm])} l S`,
+                `${toPage([x + radius, y])} m`,
+                `${toPage([x + radius, y + k])} ${toPage([x + k, y + radius])} ${toPage([x, y + radius])} c`,
+                `${toPage([x - k, y + radius])} ${toPage([x - radius, y + k])} ${toPage([x - radius, y])} c`,
+                `${toPage([x - radius, y - k])} ${toPage([x - k, y - radius])} ${toPage([x, y - radius])} c`,
+                `${toPage([x + k, y - radius])} ${toPage([x + radius, y - k])} ${toPage([x + radius, y])} c S`
+            );
+        });
+
+        // Dashed lines where the neighbouring pages start, to glue under
+        operators.push('0.6 0.6 0.6 RG', `[${point(2)} ${point(2)}] 0 d`);
+        if (column < grid.columns - 1) {
+            const x = originX + tileWidth - overlap;
+            operators.push(`${toPage([x, originY])} m ${toPage([x, originY + tileHeight])} l S`);
+        }
+        if (row < grid.rows - 1) {
+            const y = originY + tileHeight - overlap;
+            operators.push(`${toPage([originX, y])} m ${toPage([originX + tileWidth, y])} l S`);
+        }
+        operators.push('Q');
+
+        // Page coordinates in the bottom margin, e.g. "B2" for row 2, column 2
+        const name = `${String.fromCharCode(65 + row)}${column + 1}`;
+        const label = `Page ${name} - row ${row + 1} of ${grid.rows}, column ${column + 1} of ${grid.columns}` +
+            ` - life size for ${(settings.realHeight / 10).toFixed(0)} cm - ${overlap} mm overlap`;
+        operators.push(
+            'BT',
+            '0.3 g',
+            '/F1 8 Tf',
+            `${point(margin)} ${point(margin / 2 - 1)} Td`,
+            `${PDFDocument.text(label)} Tj`,
+            'ET'
+        );
+
+        return operators.join('\n');
+    }
+}
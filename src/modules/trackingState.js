@@ -0,0 +1,91 @@
+// Tracking state for each person, so a single dropped detection doesn't make
+// the outline flicker off and on. A person missing from a frame is 'lost':
+// their last outline is held for the grace period, then fades out over the
+// fade time, after which they're 'gone' and the outline is cleared.
+export const TRACKING = 'tracking';
+export const LOST = 'lost';
+export const GONE = 'gone';
+
+// Mean landmark visibility, 0..1, as a measure of how sure the model is
+export function landmarkConfidence(landmarks) {
+    if (!landmarks || landmarks.length === 0) return 0;
+    const total = landmarks.reduce((sum, landmark) => sum + (landmark.visibility ?? 1), 0);
+    return total / landmarks.length;
+}
+
+export class TrackingState {
+    constructor(options = {}) {
+        this.gracePeriod = options.gracePeriod ?? 500; // ms the last outline is held
+        this.fadeDuration = options.fadeDuration ?? 700; // ms it then takes to fade out
+        this.people = new Map(); // Person id -> { state, confidence, heldConfidence, lostAt, opacity }
+    }
+
+    configure({ gracePeriod, fadeDuration }) {
+        this.gracePeriod = gracePeriod ?? this.gracePeriod;
+        this.fadeDuration = fadeDuration ?? this.fadeDuration;
+    }
+
+    // people: this frame's [{ id, landmarks }]. Everyone else known is lost,
+    // and becomes gone once held and faded; gone people are forgotten on the
+    // next update. Returns the state of each person, present or not.
+    update(people, now = performance.now()) {
+        this.people.forEach((entry, personId) => {
+            if (entry.state === GONE) this.people.delete(personId);
+        });
+
+        const presentIds = new Set();
+        people.forEach(person => {
+            presentIds.add(person.id);
+            const confidence = landmarkConfidence(person.landmarks);
+            this.people.set(person.id, {
+                state: TRACKING,
+                confidence,
+                heldConfidence: confidence,
+                lostAt: null,
+                opacity: 1
+            });
+        });
+
+        this.people.forEach((entry, personId) => {
+            if (presentIds.has(personId)) return;
+
+            if (entry.state === TRACKING) {
+                entry.state = LOST;
+                entry.lostAt = now;
+            }
+
+            const elapsed = now - entry.lostAt;
+            const fading = elapsed - this.gracePeriod;
+            if (fading >= this.fadeDuration) {
+                entry.state = GONE;
+                entry.opacity = 0;
+            } else {
+                entry.opacity = fading > 0 ? 1 - fading / this.fadeDuration : 1;
+            }
+            entry.confidence = entry.heldConfidence * entry.opacity;
+        });
+
+        return this.people;
+    }
+
+    forget(personId) {
+        this.people.delete(personId);
+    }
+
+    clear() {
+        this.people.clear();
+    }
+
+    // The best state among everyone: tracking if anyone is, then lost, else gone
+    summary() {
+        let state = GONE;
+        let confidence = 0;
+        this.people.forEach(entry => {
+            if (entry.state === TRACKING || (entry.state === LOST && state === GONE)) {
+                state = entry.state;
+            }
+            confidence = Math.max(confidence, entry.confidence);
+        });
+        return { state, confidence };
+    }
+}
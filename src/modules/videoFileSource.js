@@ -0,0 +1,131 @@
+// A video file as a frame source, with play/pause and seeking so a single
+// frame can be picked for export. Frames are drawn to a canvas at a model-
+// friendly size. While paused, the current frame is offered again every
+// interval so changes made in the settings panel still show up.
+export class VideoFileSource {
+    constructor(file, options = {}) {
+        this.file = file;
+        this.kind = 'video';
+        this.runningMode = 'VIDEO';
+        this.maxSize = options.maxSize || 960; // Longest side (px) passed to the model
+        this.interval = options.interval || 500; // ms between repeated frames while paused
+        this.url = null;
+        this.video = null;
+        this.canvas = null;
+        this.context = null;
+        this.closed = false;
+        this.wake = null;
+    }
+
+    async open() {
+        this.url = URL.createObjectURL(this.file);
+        this.video = document.createElement('video');
+        this.video.muted = true;
+        this.video.playsInline = true;
+        this.video.loop = true;
+        this.video.preload = 'auto';
+
+        try {
+            await new Promise((resolve, reject) => {
+                this.video.addEventListener('loadeddata', resolve, { once: true });
+                this.video.addEventListener('error', () => {
+                    reject(new Error('This video format is not supported'));
+                }, { once: true });
+                this.video.src = this.url;
+            });
+        } catch (error) {
+            this.close(); // Releases the object URL
+            throw error;
+        }
+
+        const scale = Math.min(1, this.maxSize / Math.max(this.video.videoWidth, this.video.videoHeight));
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = Math.round(this.video.videoWidth * scale);
+        this.canvas.height = Math.round(this.video.videoHeight * scale);
+        this.context = this.canvas.getContext('2d');
+
+        // A new frame is ready after seeking while paused
+        this.video.addEventListener('seeked', () => this.wakeUp());
+
+        return { width: this.canvas.width, height: this.canvas.height };
+    }
+
+    get duration() {
+        // Some recordings report an infinite duration until fully read
+        const duration = this.video?.duration;
+        return Number.isFinite(duration) ? duration : 0;
+    }
+
+    get currentTime() {
+        return this.video?.currentTime || 0;
+    }
+
+    get paused() {
+        return !this.video || this.video.paused;
+    }
+
+    play() {
+        return this.video?.play();
+    }
+
+    pause() {
+        this.video?.pause();
+    }
+
+    seek(time) {
+        if (this.video) {
+            this.video.currentTime = Math.min(Math.max(time, 0), this.duration);
+        }
+    }
+
+    wakeUp() {
+        if (this.wake) {
+            const wake = this.wake;
+            this.wake = null;
+            wake();
+        }
+    }
+
+    // Resolves when there is a new frame to show, or the interval has passed
+    nextFrame() {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => this.wakeUp(), this.paused ? this.interval : 1000);
+            this.wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+
+            if (!this.paused) {
+                if (this.video.requestVideoFrameCallback) {
+                    this.video.requestVideoFrameCallback(() => this.wakeUp());
+                } else {
+                    requestAnimationFrame(() => this.wakeUp());
+                }
+            }
+        });
+    }
+
+    async *frames() {
+        while (!this.closed) {
+            this.context.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
+            yield new VideoFrame(this.canvas, { timestamp: Math.round(performance.now() * 1000) });
+            if (this.closed) break;
+            await this.nextFrame();
+        }
+    }
+
+    close() {
+        this.closed = true;
+        this.wakeUp();
+
+        if (this.video) {
+            this.video.pause();
+            this.video.removeAttribute('src');
+            this.video.load();
+        }
+        if (this.url) {
+            URL.revokeObjectURL(this.url);
+            this.url = null;
+        }
+    }
+}
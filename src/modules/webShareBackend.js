@@ -0,0 +1,35 @@
+// Hands the SVG to another app on the device through the Web Share API
+// (messaging, email, photo apps). Needs the click that opened the share, so
+// failed shares can't be queued for later.
+export class WebShareBackend {
+    constructor(config = {}) {
+        this.name = config.name || 'another app';
+        this.title = config.title || 'Share your bodychalk';
+        this.pageURL = '';
+        this.queueable = false;
+    }
+
+    static get isSupported() {
+        return typeof navigator !== 'undefined' && 'share' in navigator && 'canShare' in navigator;
+    }
+
+    createShareData(share) {
+        const file = new File([share.svgContent], share.filename, { type: 'image/svg+xml' });
+        return {
+            files: [file],
+            title: share.metadata.title,
+            text: share.metadata.description
+        };
+    }
+
+    // Rejects with an AbortError if the person closes the share sheet
+    async upload(share) {
+        const shareData = this.createShareData(share);
+        if (!WebShareBackend.isSupported || !navigator.canShare(shareData)) {
+            throw new Error('This browser cannot share files with other apps');
+        }
+
+        await navigator.share(shareData);
+        return { message: '', url: '', data: null };
+    }
+}
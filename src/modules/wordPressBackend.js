@@ -0,0 +1,21 @@
+import { MultipartBackend } from './multipartBackend.js';
+
+// The bodychalk WordPress plugin's REST route. It answers with
+// { success, message } and reports errors as { code, message, data }.
+// A nonce is sent in the X-WP-Nonce header, along with the login cookie it
+// belongs to.
+export class WordPressBackend extends MultipartBackend {
+    constructor(config = {}) {
+        super({
+            ...config,
+            auth: config.auth ? { header: 'X-WP-Nonce', ...config.auth } : null,
+            credentials: config.credentials || (config.auth ? 'include' : 'same-origin'),
+            response: {
+                successPath: 'success',
+                messagePath: 'message',
+                urlPath: 'url',
+                ...config.response
+            }
+        });
+    }
+}
@@ -0,0 +1,78 @@
+// Service worker, so the app starts and traces with no network at all.
+// Built into sw.js by scripts/vite-plugin-offline.js, which fills in the
+// files to precache and a version that changes with them.
+//
+// Precached files (the build, WASM fileset, model, icons) come from the
+// cache first. Anything else on this origin, e.g. a share-target.json
+// deployed later, comes from the network, falling back to the last copy.
+// Uploads and other origins are left alone; the share outbox handles those.
+const PRECACHE = self.__PRECACHE__;
+const VERSION = self.__VERSION__;
+const CACHE_NAME = `bodychalk-${VERSION}`;
+
+// Paths in the precache list are relative to where sw.js is served from
+const scope = new URL('./', self.location).href;
+const precacheURLs = new Set(PRECACHE.map(path => new URL(path, scope).href));
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll([...precacheURLs]))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the caches of earlier versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('bodychalk-') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || !request.url.startsWith(scope)) {
+        return;
+    }
+
+    // Any page of the app (e.g. ?preset=plotter) is index.html
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match(new URL('index.html', scope).href)
+                .then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    const url = new URL(request.url);
+    url.search = '';
+    if (precacheURLs.has(url.href)) {
+        event.respondWith(
+            caches.match(url.href).then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    event.respondWith(networkFirst(request));
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
@@ -1,4 +1,5 @@
 import { defineConfig } from 'vite';
+import { offlinePlugin } from './scripts/vite-plugin-offline.js';
 
 // Are we running inside a GH Action?
 const inGH = process.env.GITHUB_ACTIONS === 'true';
@@ -8,5 +9,11 @@ const repo = process.env.GITHUB_REPOSITORY?.split('/')[1] ?? '';
 export default defineConfig({
     // Locally you still get “/”, but on Actions you get “/bodychalk/”
     base: inGH ? `/${repo}/` : '/',
+    // The pose worker is a module worker, in dev and in the build
+    worker: {
+        format: 'es'
+    },
+    // Self-hosted MediaPipe WASM and the service worker, for offline use
+    plugins: [offlinePlugin()],
     // …your other Vite options
 });